@@ -0,0 +1,113 @@
+// Trust Foundation Check - Admin: Results Export
+// GET /admin/api/export?format=csv|xlsx&items=true (redirected here by netlify.toml)
+//   One row per scored submission (lib/results-export), newest first. Takes
+//   the same filters as the submissions list (lib/submission-filters) apart
+//   from paging; status defaults to completed. items=true adds the item-level
+//   answers for research use.
+// Needs the admin token (lib/admin-auth). tools/export-results.js writes the
+// same files from the command line.
+
+const { checkAdminAuthorization } = require('./lib/admin-auth');
+const { listSubmissions } = require('./lib/submission-store');
+const { parseFilters, matchesFilters } = require('./lib/submission-filters');
+const { buildExportTable, toCsv, toXlsx } = require('./lib/results-export');
+const { createValidationError } = require('./lib/validation');
+
+const EXPORT_FORMATS = ['csv', 'xlsx'];
+
+exports.handler = async (event, context) => {
+  const headers = {
+    'Access-Control-Allow-Origin': '*',
+    'Content-Type': 'application/json',
+    'Cache-Control': 'no-store'
+  };
+
+  // Handle CORS preflight requests
+  if (event.httpMethod === 'OPTIONS') {
+    return {
+      statusCode: 200,
+      headers: {
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+        'Access-Control-Allow-Methods': 'GET, OPTIONS'
+      },
+      body: ''
+    };
+  }
+
+  const denied = checkAdminAuthorization(event);
+  if (denied) {
+    return {
+      statusCode: denied.statusCode,
+      headers,
+      body: JSON.stringify({ success: false, error: denied.error })
+    };
+  }
+
+  if (event.httpMethod !== 'GET') {
+    return {
+      statusCode: 405,
+      headers,
+      body: JSON.stringify({ success: false, error: 'Method not allowed' })
+    };
+  }
+
+  const { format = 'csv', items, limit, offset, ...params } = event.queryStringParameters || {};
+
+  try {
+    if (!EXPORT_FORMATS.includes(format)) {
+      throw createValidationError([
+        { field: 'format', code: 'invalid_value', message: `format must be one of: ${EXPORT_FORMATS.join(', ')}` }
+      ]);
+    }
+
+    const filters = parseFilters({ status: 'completed', ...params });
+    const records = (await listSubmissions({ status: filters.status, since: filters.from }))
+      .filter(record => matchesFilters(record, filters));
+
+    const includeItems = items === 'true' || items === '1';
+    const table = buildExportTable(records, { items: includeItems });
+    const filename = `trust-foundation-check-results-${new Date().toISOString().slice(0, 10)}.${format}`;
+
+    console.log(`📊 Exporting ${table.rows.length} scored submission(s) as ${format}${includeItems ? ' with items' : ''}`);
+
+    if (format === 'csv') {
+      return {
+        statusCode: 200,
+        headers: {
+          ...headers,
+          'Content-Type': 'text/csv; charset=utf-8',
+          'Content-Disposition': `attachment; filename="${filename}"`
+        },
+        body: toCsv(table)
+      };
+    }
+
+    return {
+      statusCode: 200,
+      headers: {
+        ...headers,
+        'Content-Type': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+        'Content-Disposition': `attachment; filename="${filename}"`
+      },
+      body: toXlsx(table, { items: includeItems }).toString('base64'),
+      isBase64Encoded: true
+    };
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return {
+        statusCode: 400,
+        headers,
+        body: JSON.stringify({ success: false, error: error.message, errors: error.validationErrors })
+      };
+    }
+
+    console.error('❌ Admin export error:', error);
+
+    return {
+      statusCode: 500,
+      headers,
+      body: JSON.stringify({ success: false, error: error.message })
+    };
+  }
+};
@@ -0,0 +1,145 @@
+// Trust Foundation Check - Admin: Organizations
+// GET /admin/api/organizations (redirected here by netlify.toml)
+//   Companies with scored leader assessments, most leaders first.
+// GET /admin/api/organizations?company=Acme
+//   The organization rollup for one company (lib/org-rollup). Company names
+//   are matched loosely: case, punctuation and legal suffixes are ignored.
+// Both need the admin token (lib/admin-auth). Team members rate their leader
+// rather than themselves, so only leaders' own assessments are included.
+
+const { checkAdminAuthorization } = require('./lib/admin-auth');
+const { listSubmissions } = require('./lib/submission-store');
+const { loadScoringProfile } = require('./lib/scoring-profile');
+const { normalizeCompanyName, buildOrganizationRollup } = require('./lib/org-rollup');
+
+const SCORING_PROFILE = loadScoringProfile();
+
+exports.handler = async (event, context) => {
+  const headers = {
+    'Access-Control-Allow-Origin': '*',
+    'Content-Type': 'application/json',
+    'Cache-Control': 'no-store'
+  };
+
+  // Handle CORS preflight requests
+  if (event.httpMethod === 'OPTIONS') {
+    return {
+      statusCode: 200,
+      headers: {
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+        'Access-Control-Allow-Methods': 'GET, OPTIONS'
+      },
+      body: ''
+    };
+  }
+
+  const denied = checkAdminAuthorization(event);
+  if (denied) {
+    return {
+      statusCode: denied.statusCode,
+      headers,
+      body: JSON.stringify({ success: false, error: denied.error })
+    };
+  }
+
+  if (event.httpMethod !== 'GET') {
+    return {
+      statusCode: 405,
+      headers,
+      body: JSON.stringify({ success: false, error: 'Method not allowed' })
+    };
+  }
+
+  try {
+    const organizations = await groupLeadersByCompany();
+    const company = event.queryStringParameters?.company;
+
+    if (company === undefined) {
+      return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify({
+          success: true,
+          minLeaders: SCORING_PROFILE.organizationRollup.minLeaders,
+          organizations: [...organizations.values()]
+            .map(describeOrganization)
+            .sort((a, b) => b.leaderCount - a.leaderCount || a.name.localeCompare(b.name))
+        })
+      };
+    }
+
+    const organization = organizations.get(normalizeCompanyName(company));
+    if (!organization) {
+      return {
+        statusCode: 404,
+        headers,
+        body: JSON.stringify({ success: false, error: `No scored leader assessments for "${company}"` })
+      };
+    }
+
+    console.log(`🏢 Organization rollup for ${organization.name} (${organization.records.length} leaders)`);
+
+    return {
+      statusCode: 200,
+      headers,
+      body: JSON.stringify({
+        success: true,
+        organization: describeOrganization(organization),
+        generatedAt: new Date().toISOString(),
+        scoringProfile: { name: SCORING_PROFILE.name, version: SCORING_PROFILE.version },
+        rollup: buildOrganizationRollup(organization.records.map(record => record.result.data), SCORING_PROFILE)
+      })
+    };
+  } catch (error) {
+    console.error('❌ Admin organizations error:', error);
+
+    return {
+      statusCode: 500,
+      headers,
+      body: JSON.stringify({ success: false, error: error.message })
+    };
+  }
+};
+
+// =============================================================================
+// GROUPING
+// =============================================================================
+
+// Map of normalized company name -> { key, name, spellings, records }, with
+// each leader's latest completed assessment
+async function groupLeadersByCompany() {
+  const records = await listSubmissions({ status: 'completed' });
+  const organizations = new Map();
+  const seenLeaders = new Set();
+
+  // Newest first, so a retake replaces the leader's earlier assessment
+  records.forEach(record => {
+    if (record.respondentRole === 'member' || !record.result) return;
+
+    const company = record.result.data.participant.company;
+    const key = normalizeCompanyName(company);
+    if (!key || seenLeaders.has(`${key}|${record.email}`)) return;
+    seenLeaders.add(`${key}|${record.email}`);
+
+    if (!organizations.has(key)) {
+      organizations.set(key, { key, name: company.trim(), spellings: new Set(), records: [] });
+    }
+    const organization = organizations.get(key);
+    organization.spellings.add(company.trim());
+    organization.records.push(record);
+  });
+
+  return organizations;
+}
+
+function describeOrganization(organization) {
+  return {
+    key: organization.key,
+    name: organization.name,
+    spellings: [...organization.spellings],
+    leaderCount: organization.records.length,
+    latestAssessmentAt: organization.records[0].receivedAt,
+    available: organization.records.length >= SCORING_PROFILE.organizationRollup.minLeaders
+  };
+}
@@ -0,0 +1,125 @@
+// Trust Foundation Check - Admin: Submissions
+// GET /admin/api/submissions (redirected here by netlify.toml)
+//   ?company=&from=&to=&status=&intensityProfile=&landscapeType=&combinationKey=&limit=&offset=
+//   Newest first; the filters are described in lib/submission-filters.
+// GET /admin/api/submissions/:id
+//   The full record: raw submission, scored payload, delivery and errors.
+// Both need the admin token (lib/admin-auth).
+
+const { checkAdminAuthorization } = require('./lib/admin-auth');
+const { SUBMISSION_STATUSES, isSubmissionId, getSubmission, listSubmissions } = require('./lib/submission-store');
+const {
+  INTENSITY_PROFILES,
+  LANDSCAPE_TYPES,
+  parseFilters,
+  matchesFilters,
+  summarizeRecord
+} = require('./lib/submission-filters');
+
+exports.handler = async (event, context) => {
+  const headers = {
+    'Access-Control-Allow-Origin': '*',
+    'Content-Type': 'application/json',
+    'Cache-Control': 'no-store'
+  };
+
+  // Handle CORS preflight requests
+  if (event.httpMethod === 'OPTIONS') {
+    return {
+      statusCode: 200,
+      headers: {
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+        'Access-Control-Allow-Methods': 'GET, OPTIONS'
+      },
+      body: ''
+    };
+  }
+
+  const denied = checkAdminAuthorization(event);
+  if (denied) {
+    return {
+      statusCode: denied.statusCode,
+      headers,
+      body: JSON.stringify({ success: false, error: denied.error })
+    };
+  }
+
+  if (event.httpMethod !== 'GET') {
+    return {
+      statusCode: 405,
+      headers,
+      body: JSON.stringify({ success: false, error: 'Method not allowed' })
+    };
+  }
+
+  const params = event.queryStringParameters || {};
+
+  try {
+    if (params.id !== undefined) {
+      return await handleDetail(params.id, headers);
+    }
+
+    const filters = parseFilters(params);
+    const records = (await listSubmissions({ status: filters.status, since: filters.from }))
+      .filter(record => matchesFilters(record, filters));
+
+    return {
+      statusCode: 200,
+      headers,
+      body: JSON.stringify({
+        success: true,
+        total: records.length,
+        offset: filters.offset,
+        limit: filters.limit,
+        submissions: records.slice(filters.offset, filters.offset + filters.limit).map(summarizeRecord),
+        filterOptions: {
+          statuses: SUBMISSION_STATUSES,
+          intensityProfiles: INTENSITY_PROFILES,
+          landscapeTypes: LANDSCAPE_TYPES
+        }
+      })
+    };
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return {
+        statusCode: 400,
+        headers,
+        body: JSON.stringify({ success: false, error: error.message, errors: error.validationErrors })
+      };
+    }
+
+    console.error('❌ Admin submissions error:', error);
+
+    return {
+      statusCode: 500,
+      headers,
+      body: JSON.stringify({ success: false, error: error.message })
+    };
+  }
+};
+
+async function handleDetail(submissionId, headers) {
+  if (!isSubmissionId(submissionId)) {
+    return {
+      statusCode: 400,
+      headers,
+      body: JSON.stringify({ success: false, error: 'A valid submission ID is required' })
+    };
+  }
+
+  const record = await getSubmission(submissionId);
+  if (!record) {
+    return {
+      statusCode: 404,
+      headers,
+      body: JSON.stringify({ success: false, error: `Submission ${submissionId} not found` })
+    };
+  }
+
+  return {
+    statusCode: 200,
+    headers,
+    body: JSON.stringify({ success: true, summary: summarizeRecord(record), submission: record })
+  };
+}
@@ -0,0 +1,34 @@
+// Trust Foundation Check - Admin Authentication
+// Admin routes take the shared staff token as a bearer token:
+//   Authorization: Bearer <ADMIN_TOKEN>
+// With no ADMIN_TOKEN configured the admin area stays closed.
+
+const crypto = require('crypto');
+
+// Returns null when the request may proceed, otherwise { statusCode, error }
+function checkAdminAuthorization(event, env = process.env) {
+  const adminToken = env.ADMIN_TOKEN;
+  if (!adminToken) {
+    return { statusCode: 503, error: 'Admin area is not configured (ADMIN_TOKEN is not set)' };
+  }
+
+  const headers = event.headers || {};
+  const header = headers.authorization || headers.Authorization || '';
+  const match = /^Bearer\s+(.+)$/i.exec(header);
+
+  if (!match || !tokensMatch(match[1].trim(), adminToken)) {
+    return { statusCode: 401, error: 'A valid admin token is required' };
+  }
+
+  return null;
+}
+
+// Hashing first gives equal-length buffers, so the comparison is constant time
+function tokensMatch(provided, expected) {
+  const hash = value => crypto.createHash('sha256').update(value).digest();
+  return crypto.timingSafeEqual(hash(provided), hash(expected));
+}
+
+module.exports = {
+  checkAdminAuthorization
+};
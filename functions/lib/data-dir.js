@@ -0,0 +1,20 @@
+// Trust Foundation Check - Local Data Directory
+// Root for everything the functions write to disk (submissions, dead letters).
+// Set DATA_DIR to storage every function instance can reach; the default is
+// only suitable for a single process such as `netlify dev`. On Netlify each
+// function instance has its own /tmp, so without DATA_DIR a record written by
+// one function can't be read by another.
+
+const os = require('os');
+const path = require('path');
+
+function getDataDir(env = process.env) {
+  return env.DATA_DIR || path.join(os.tmpdir(), 'trust-foundation-check');
+}
+
+// Only an explicitly configured directory is assumed to be shared
+function isSharedDataDir(env = process.env) {
+  return !!env.DATA_DIR;
+}
+
+module.exports = { getDataDir, isSharedDataDir };
@@ -0,0 +1,188 @@
+// Trust Foundation Check - Fallback Narrative
+// Assembles a prose report from authored text blocks (config/narrative-blocks.json)
+// when the VectorShift pipeline has not produced one. Every choice is a plain
+// rule on the scored payload - opening tone, trust landscape, the combination
+// narrative, density pattern, challenge/foundation relationships, compensation
+// patterns, transformation path and immediate action - so the same payload
+// always yields the same report.
+//
+// Blocks may contain {placeholders}; a placeholder with no value is an
+// authoring error and throws rather than printing a gap.
+
+const DEFAULT_BLOCKS = require('../../config/narrative-blocks.json');
+const { CURRENT_VERSION, getInstrument } = require('./instruments');
+const { loadNarrativeLibrary, getCombinationNarrative } = require('./narrative-library');
+
+const NARRATIVE_LIBRARY = loadNarrativeLibrary(getInstrument(CURRENT_VERSION));
+
+// Keys every block set must define, checked once at startup
+const REQUIRED_BLOCKS = {
+  sectionTitles: ['opening', 'pattern', 'challenges', 'contribution', 'path', 'action', 'closing'],
+  openings: ['gentle_urgent', 'direct_compassionate', 'appreciative_growth'],
+  landscapes: ['Thriving', 'Healthy', 'Developing', 'Struggling'],
+  density: ['DISPERSED', 'CONCENTRATED', 'DEEP PATTERN'],
+  densityCategories: ['CONTAMINATE', 'CONTROL', 'CONCEAL', 'COLLAPSE'],
+  hiddenContributions: ['leadership_awareness_pattern'],
+  transformationPaths: ['focused_category_healing', 'targeted_dual_approach', 'systemic_multi_dimensional'],
+  immediateActions: ['trust_building_conversation'],
+  closings: ['gentle_urgent', 'direct_compassionate', 'appreciative_growth'],
+  responseQuality: ['tentative', 'softened']
+};
+const REQUIRED_TEXTS = ['balance', 'combination', 'compensation', 'actionIntro', 'strengthLeverage'];
+
+const BLOCKS = loadNarrativeBlocks();
+
+// =============================================================================
+// BLOCKS
+// =============================================================================
+
+function loadNarrativeBlocks(blocks = DEFAULT_BLOCKS) {
+  const problems = [];
+
+  Object.entries(REQUIRED_BLOCKS).forEach(([group, keys]) => {
+    keys
+      .filter(key => !blocks[group]?.[key])
+      .forEach(key => problems.push(`${group}.${key} is missing`));
+  });
+  REQUIRED_TEXTS
+    .filter(key => typeof blocks[key] !== 'string' || !blocks[key].trim())
+    .forEach(key => problems.push(`${key} is missing`));
+  ['challengeLeads', 'strengthLeads'].forEach(direction => {
+    ['high', 'medium']
+      .filter(tension => !blocks.relationships?.[direction]?.[tension])
+      .forEach(tension => problems.push(`relationships.${direction}.${tension} is missing`));
+  });
+  if (!blocks.relationships?.balanced) {
+    problems.push('relationships.balanced is missing');
+  }
+
+  if (problems.length > 0) {
+    throw new Error(`Invalid narrative blocks: ${problems.join('; ')}`);
+  }
+  return blocks;
+}
+
+function fill(template, values) {
+  return template.replace(/\{(\w+)\}/g, (match, name) => {
+    if (values[name] === undefined || values[name] === null) {
+      throw new Error(`Narrative block placeholder {${name}} has no value`);
+    }
+    return String(values[name]);
+  });
+}
+
+// =============================================================================
+// GENERATION
+// =============================================================================
+
+// Returns { generator, blocksVersion, sections: [{ id, title, paragraphs }] }
+function generateFallbackNarrative(payload, blocks = BLOCKS) {
+  const { participant, trustChallenges, trustStrengths, patternAnalysis, reportMetadata } = payload;
+  const tone = reportMetadata.customSections.openingTone;
+  const landscape = patternAnalysis.trustLandscape;
+  const firstName = (participant.name || '').trim().split(/\s+/)[0] || 'Hello';
+
+  const sections = [];
+  const addSection = (id, paragraphs) => {
+    const text = paragraphs.filter(Boolean);
+    if (text.length > 0) sections.push({ id, title: blocks.sectionTitles[id], paragraphs: text });
+  };
+
+  addSection('opening', [
+    fill(blocks.openings[tone] || blocks.openings.appreciative_growth, { firstName }),
+    blocks.landscapes[landscape.landscapeType],
+    landscape.metrics ? fill(blocks.balance, landscape.metrics) : null
+  ]);
+
+  addSection('pattern', [
+    describeCombination(payload, blocks),
+    describeDensity(trustChallenges.densityPattern, blocks)
+  ]);
+
+  addSection('challenges', [
+    ...(patternAnalysis.relationships || []).map(relationship => describeRelationship(relationship, blocks)),
+    ...(patternAnalysis.compensationPatterns || []).map(pattern => fill(blocks.compensation, pattern))
+  ]);
+
+  const combination = combinationNarrativeFor(payload);
+  addSection('contribution', [
+    blocks.hiddenContributions[reportMetadata.customSections.hiddenContribution] ||
+      blocks.hiddenContributions.leadership_awareness_pattern,
+    combination?.hiddenContribution
+  ]);
+
+  addSection('path', [
+    blocks.transformationPaths[reportMetadata.customSections.transformationPath],
+    combination?.shiftNeeded
+  ]);
+
+  const action = blocks.immediateActions[reportMetadata.customSections.immediateAction] ||
+    blocks.immediateActions.trust_building_conversation;
+  const strongest = trustStrengths.cornerstone[0] || trustStrengths.solid[0];
+  addSection('action', [
+    fill(blocks.actionIntro, { actionTitle: action.title, actionDescription: action.description }),
+    strongest ? fill(blocks.strengthLeverage, { strength: strongest.name, strengthScore: strongest.score }) : null
+  ]);
+
+  const stance = payload.processingHints?.responseQualityGuidance?.stance;
+  addSection('closing', [
+    blocks.closings[tone] || blocks.closings.appreciative_growth,
+    blocks.responseQuality[stance]
+  ]);
+
+  return { generator: 'rule-based', blocksVersion: blocks.version, sections };
+}
+
+// Reports scored before the library existed carry no narrative; look it up
+function combinationNarrativeFor(payload) {
+  return payload.reportMetadata.combinationNarrative ||
+    getCombinationNarrative(NARRATIVE_LIBRARY, payload.patternAnalysis.combinationKey);
+}
+
+function describeCombination(payload, blocks) {
+  const combination = combinationNarrativeFor(payload);
+  if (!combination) return null;
+
+  return fill(blocks.combination, {
+    challengeList: formatList(payload.trustChallenges.top3.map(challenge => challenge.name)),
+    patternName: combination.name,
+    interconnectionStory: combination.interconnectionStory
+  });
+}
+
+function describeDensity(densityPattern, blocks) {
+  const template = blocks.density[densityPattern.type];
+  if (!template) return null;
+
+  return fill(template, {
+    categoryInsight: blocks.densityCategories[densityPattern.dominantCategory]
+  });
+}
+
+// Which side leads decides the framing; tension decides how strongly
+function describeRelationship(relationship, blocks) {
+  const values = {
+    challenge: relationship.challengeName,
+    challengeScore: relationship.challengeScore,
+    strength: relationship.strengthName,
+    strengthScore: relationship.strengthScore
+  };
+
+  if (relationship.tension === 'low' || relationship.challengeScore === relationship.strengthScore) {
+    return fill(blocks.relationships.balanced, values);
+  }
+
+  const direction = relationship.challengeScore > relationship.strengthScore ? 'challengeLeads' : 'strengthLeads';
+  return fill(blocks.relationships[direction][relationship.tension], values);
+}
+
+function formatList(items) {
+  if (items.length <= 1) return items.join('');
+  return `${items.slice(0, -1).join(', ')} and ${items[items.length - 1]}`;
+}
+
+module.exports = {
+  IMMEDIATE_ACTIONS: BLOCKS.immediateActions,
+  loadNarrativeBlocks,
+  generateFallbackNarrative
+};
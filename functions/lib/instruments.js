@@ -0,0 +1,139 @@
+// Trust Foundation Check - Instrument Registry
+// Maps the instrument version named on a submission to the definition used to
+// parse and score it. Retired versions are migrated onto a registered
+// successor; anything else is rejected.
+//
+// Registered: v5 (current, the form index.html serves) and v6 (a 36-item
+// short form in pilot). tools/verify-instruments.js scores a submission on
+// every registered version.
+
+const CURRENT_INSTRUMENT = require('../../shared/instrument');
+const PILOT_INSTRUMENT = require('../../shared/instrument-v6');
+
+const INSTRUMENTS = {};
+
+// Retired versions and how their item identifiers carry onto a registered one.
+// mapItemId returns the item id in the target version, or null to drop it.
+const MIGRATIONS = {
+  // v4 shipped the same 45 items in the same canonical order (the page still
+  // labelled them "v4 questions"), so ids carry over unchanged
+  v4: {
+    to: 'v5',
+    mapItemId: itemId => itemId
+  }
+};
+
+// =============================================================================
+// REGISTRATION
+// =============================================================================
+
+function registerInstrument(instrument) {
+  const problems = validateInstrumentDefinition(instrument);
+  if (problems.length > 0) {
+    throw new Error(`Invalid instrument definition ${instrument?.version}: ${problems.join('; ')}`);
+  }
+
+  INSTRUMENTS[instrument.version] = instrument;
+  return instrument;
+}
+
+// Checks the pieces the scorer relies on: sequential item ids, every item
+// owned by exactly one red flag, and every red flag mirrored by a foundation
+function validateInstrumentDefinition(instrument) {
+  const problems = [];
+
+  if (!instrument || typeof instrument.version !== 'string') {
+    return ['version is required'];
+  }
+  if (!Array.isArray(instrument.questions) || instrument.questions.length === 0) {
+    return ['questions must be a non-empty array'];
+  }
+
+  instrument.questions.forEach((question, index) => {
+    if (question.id !== index + 1) {
+      problems.push(`question at position ${index + 1} has id ${question.id}`);
+    }
+    if (typeof question.reverseScored !== 'boolean') {
+      problems.push(`question ${question.id} has no reverseScored flag`);
+    }
+    if (!instrument.redFlags?.[question.category]) {
+      problems.push(`question ${question.id} belongs to unknown red flag "${question.category}"`);
+    }
+  });
+
+  const owned = new Array(instrument.questions.length).fill(0);
+  Object.entries(instrument.redFlags || {}).forEach(([flagName, flagInfo]) => {
+    if (!instrument.triageHierarchy?.[flagInfo.category]) {
+      problems.push(`red flag "${flagName}" has unknown category ${flagInfo.category}`);
+    }
+    if (instrument.oppositeMap?.[flagName] === undefined) {
+      problems.push(`red flag "${flagName}" has no opposite foundation`);
+    }
+    flagInfo.questionIndices.forEach(index => {
+      owned[index] = (owned[index] || 0) + 1;
+    });
+  });
+
+  owned.forEach((count, index) => {
+    if (count !== 1) {
+      problems.push(`question ${index + 1} is owned by ${count} red flags`);
+    }
+  });
+
+  Object.entries(instrument.trustFoundations || {}).forEach(([foundationName, foundationInfo]) => {
+    if (!instrument.redFlags?.[foundationInfo.oppositeOf]) {
+      problems.push(`foundation "${foundationName}" mirrors unknown red flag "${foundationInfo.oppositeOf}"`);
+    }
+  });
+
+  return problems;
+}
+
+// =============================================================================
+// LOOKUP
+// =============================================================================
+
+// Returns { instrument, migratedFrom, mapItemId } for a submitted version, or
+// null when the version is neither registered nor migratable
+function resolveInstrument(version) {
+  if (INSTRUMENTS[version]) {
+    return {
+      instrument: INSTRUMENTS[version],
+      migratedFrom: null,
+      mapItemId: itemId => itemId
+    };
+  }
+
+  const migration = MIGRATIONS[version];
+  if (migration && INSTRUMENTS[migration.to]) {
+    return {
+      instrument: INSTRUMENTS[migration.to],
+      migratedFrom: version,
+      mapItemId: migration.mapItemId
+    };
+  }
+
+  return null;
+}
+
+function getInstrument(version) {
+  return INSTRUMENTS[version] || null;
+}
+
+function listSupportedVersions() {
+  return [
+    ...Object.keys(INSTRUMENTS),
+    ...Object.keys(MIGRATIONS).filter(version => INSTRUMENTS[MIGRATIONS[version].to])
+  ];
+}
+
+registerInstrument(CURRENT_INSTRUMENT);
+registerInstrument(PILOT_INSTRUMENT);
+
+module.exports = {
+  CURRENT_VERSION: CURRENT_INSTRUMENT.version,
+  registerInstrument,
+  resolveInstrument,
+  getInstrument,
+  listSupportedVersions
+};
@@ -0,0 +1,114 @@
+// Trust Foundation Check - Combination Narrative Library
+// Authored content for every top-3 red flag combination: a name for the
+// pattern, how the three challenges feed each other, how the leader may be
+// contributing without realizing it, and the shift that breaks the cycle.
+//
+// Entries are keyed by combination key (the three flag names without spaces,
+// sorted and joined with "-"), the same key the scorer reports. The library
+// is checked at startup against the instrument's red flags, so a flag that is
+// added or renamed fails loudly instead of leaving reports without content.
+
+const DEFAULT_LIBRARY = require('../../config/combination-narratives.json');
+
+const NARRATIVE_FIELDS = ['name', 'interconnectionStory', 'hiddenContribution', 'shiftNeeded'];
+
+// =============================================================================
+// KEYS
+// =============================================================================
+
+function combinationKeyFor(flagNames) {
+  return flagNames
+    .map(name => name.replace(/\s+/g, ''))
+    .sort()
+    .join('-');
+}
+
+// Every possible top 3: 84 keys for the nine red flags
+function listCombinationKeys(instrument) {
+  const flags = Object.keys(instrument.redFlags);
+  const keys = [];
+
+  for (let i = 0; i < flags.length; i++) {
+    for (let j = i + 1; j < flags.length; j++) {
+      for (let k = j + 1; k < flags.length; k++) {
+        keys.push(combinationKeyFor([flags[i], flags[j], flags[k]]));
+      }
+    }
+  }
+
+  return keys;
+}
+
+// =============================================================================
+// LOADING
+// =============================================================================
+
+function loadNarrativeLibrary(instrument, library = DEFAULT_LIBRARY) {
+  const problems = validateNarrativeLibrary(library, instrument);
+  if (problems.length > 0) {
+    throw new Error(`Invalid combination narrative library: ${problems.join('; ')}`);
+  }
+
+  return Object.freeze({ version: library.version, narratives: library.narratives });
+}
+
+// Every combination needs an entry with every field, and pattern names must
+// be unique so two reports never share a name for different patterns
+function validateNarrativeLibrary(library, instrument) {
+  if (!library || typeof library.narratives !== 'object' || library.narratives === null) {
+    return ['narratives must be an object'];
+  }
+
+  const problems = [];
+  const expectedKeys = listCombinationKeys(instrument);
+  const names = new Map();
+
+  expectedKeys
+    .filter(key => !library.narratives[key])
+    .forEach(key => problems.push(`no entry for ${key}`));
+
+  Object.entries(library.narratives).forEach(([key, entry]) => {
+    if (!expectedKeys.includes(key)) {
+      problems.push(`${key} is not a combination of the instrument's red flags`);
+      return;
+    }
+
+    NARRATIVE_FIELDS
+      .filter(field => typeof entry?.[field] !== 'string' || !entry[field].trim())
+      .forEach(field => problems.push(`${key} has no ${field}`));
+
+    if (typeof entry?.name === 'string') {
+      if (names.has(entry.name)) {
+        problems.push(`${key} and ${names.get(entry.name)} are both named "${entry.name}"`);
+      }
+      names.set(entry.name, key);
+    }
+  });
+
+  return problems;
+}
+
+// =============================================================================
+// LOOKUP
+// =============================================================================
+
+// Returns { combinationKey, libraryVersion, name, interconnectionStory,
+// hiddenContribution, shiftNeeded }, or null for an unknown key
+function getCombinationNarrative(library, combinationKey) {
+  const entry = library.narratives[combinationKey];
+  if (!entry) return null;
+
+  return {
+    combinationKey,
+    libraryVersion: library.version,
+    ...Object.fromEntries(NARRATIVE_FIELDS.map(field => [field, entry[field]]))
+  };
+}
+
+module.exports = {
+  combinationKeyFor,
+  listCombinationKeys,
+  loadNarrativeLibrary,
+  validateNarrativeLibrary,
+  getCombinationNarrative
+};
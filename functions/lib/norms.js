@@ -0,0 +1,261 @@
+// Trust Foundation Check - Normative Scoring
+// Places each 0-100 index against a reference sample so a leader can see
+// whether a score is typical or unusual. Norms are optional: without a table
+// the scorer reports raw indexes only.
+//
+// Sources, first match wins:
+//   NORMS_TABLE  inline JSON
+//   NORMS_PATH   path to a JSON file (see config/norms.example.json)
+//
+// Table format:
+// {
+//   name, instrumentVersion, sampleSize,
+//   groups: [{
+//     id, match: { industry?, teamSizeMin?, teamSizeMax? },
+//     redFlags:    { [flag]: { mean, sd } | { percentiles: { "10": score, ... } } },
+//     foundations: { [foundation]: same }
+//   }]
+// }
+// Groups are tried in order; the first whose match fits the participant and
+// which has an entry for the scale is used, so list the catch-all group last.
+// industry and teamSize come from the participant's optional form fields, so
+// a participant who leaves them blank only matches groups without them.
+
+const fs = require('fs');
+
+// =============================================================================
+// LOADING
+// =============================================================================
+
+function loadNormsTable(env = process.env) {
+  let contents = null;
+  let source = null;
+
+  if (env.NORMS_TABLE) {
+    contents = env.NORMS_TABLE;
+    source = 'NORMS_TABLE';
+  } else if (env.NORMS_PATH) {
+    try {
+      contents = fs.readFileSync(env.NORMS_PATH, 'utf8');
+    } catch (error) {
+      throw new Error(`Norms table could not be read from ${env.NORMS_PATH}: ${error.message}`);
+    }
+    source = env.NORMS_PATH;
+  }
+
+  if (contents === null) return null;
+
+  let table;
+  try {
+    table = JSON.parse(contents);
+  } catch (error) {
+    throw new Error(`Norms table in ${source} is not valid JSON`);
+  }
+
+  const problems = validateNormsTable(table);
+  if (problems.length > 0) {
+    throw new Error(`Invalid norms table (${source}): ${problems.join('; ')}`);
+  }
+
+  return { ...table, source };
+}
+
+function validateNormsTable(table) {
+  const problems = [];
+
+  if (!table || typeof table !== 'object') {
+    return ['table must be an object'];
+  }
+  if (typeof table.name !== 'string' || !table.name) {
+    problems.push('name is required');
+  }
+  if (typeof table.instrumentVersion !== 'string') {
+    problems.push('instrumentVersion is required');
+  }
+  if (!Array.isArray(table.groups) || table.groups.length === 0) {
+    problems.push('groups must be a non-empty array');
+    return problems;
+  }
+
+  table.groups.forEach((group, i) => {
+    const field = `groups[${i}]`;
+    if (typeof group.id !== 'string' || !group.id) {
+      problems.push(`${field}.id is required`);
+    }
+    ['redFlags', 'foundations'].forEach(scaleType => {
+      Object.entries(group[scaleType] || {}).forEach(([name, norm]) => {
+        const problem = validateNorm(norm);
+        if (problem) problems.push(`${field}.${scaleType}["${name}"] ${problem}`);
+      });
+    });
+  });
+
+  return problems;
+}
+
+function validateNorm(norm) {
+  if (norm && typeof norm.mean === 'number') {
+    return typeof norm.sd === 'number' && norm.sd > 0 ? null : 'needs a positive sd';
+  }
+
+  const points = Object.entries(norm?.percentiles || {});
+  if (points.length < 2) {
+    return 'needs mean/sd or at least two percentile points';
+  }
+
+  const sorted = points.map(([p, score]) => [Number(p), score]).sort((a, b) => a[0] - b[0]);
+  const invalid = sorted.some(([p, score], i) =>
+    !(p > 0 && p < 100) || typeof score !== 'number' || (i > 0 && score < sorted[i - 1][1])
+  );
+  return invalid ? 'percentiles must be 0-100 exclusive with non-decreasing scores' : null;
+}
+
+// =============================================================================
+// SCORING
+// =============================================================================
+
+// Returns null when no table is loaded; otherwise percentile and z-score for
+// every scored flag and foundation
+function applyNorms(table, { challengeScores, strengthScores, participant, instrumentVersion }) {
+  if (!table) return null;
+
+  if (table.instrumentVersion !== instrumentVersion) {
+    return {
+      applied: false,
+      reason: `Norms table ${table.name} is for ${table.instrumentVersion}, not ${instrumentVersion}`
+    };
+  }
+
+  const groups = table.groups.filter(group => groupMatches(group.match || {}, participant));
+
+  return {
+    applied: true,
+    table: {
+      name: table.name,
+      sampleSize: table.sampleSize,
+      instrumentVersion: table.instrumentVersion
+    },
+    redFlags: normalizeScores(challengeScores, groups, 'redFlags'),
+    foundations: normalizeScores(strengthScores, groups, 'foundations')
+  };
+}
+
+function groupMatches(match, participant) {
+  if (match.industry && normalizeText(match.industry) !== normalizeText(participant.industry)) {
+    return false;
+  }
+
+  const teamSize = Number(participant.teamSize);
+  if (match.teamSizeMin !== undefined || match.teamSizeMax !== undefined) {
+    if (!Number.isFinite(teamSize)) return false;
+    if (match.teamSizeMin !== undefined && teamSize < match.teamSizeMin) return false;
+    if (match.teamSizeMax !== undefined && teamSize > match.teamSizeMax) return false;
+  }
+
+  return true;
+}
+
+function normalizeScores(scores, groups, scaleType) {
+  const results = {};
+
+  Object.entries(scores).forEach(([name, score]) => {
+    const group = groups.find(candidate => candidate[scaleType]?.[name]);
+    if (score === null || !group) {
+      results[name] = { score, percentile: null, zScore: null, group: null };
+      return;
+    }
+
+    const norm = group[scaleType][name];
+    let zScore;
+    let percentile;
+
+    if (typeof norm.mean === 'number') {
+      zScore = (score - norm.mean) / norm.sd;
+      // Clamped to 1-99, as the table interpolation is
+      percentile = Math.min(99, Math.max(1, normalCdf(zScore) * 100));
+    } else {
+      percentile = interpolatePercentile(score, norm.percentiles);
+      zScore = inverseNormalCdf(percentile / 100);
+    }
+
+    results[name] = {
+      score,
+      percentile: Math.round(percentile),
+      zScore: Math.round(zScore * 100) / 100,
+      group: group.id
+    };
+  });
+
+  return results;
+}
+
+// Linear interpolation through the listed percentile points, clamped to 1-99
+function interpolatePercentile(score, percentiles) {
+  const points = Object.entries(percentiles)
+    .map(([p, value]) => [Number(p), value])
+    .sort((a, b) => a[0] - b[0]);
+
+  if (score <= points[0][1]) return Math.max(1, points[0][0] * (score / (points[0][1] || 1)));
+  if (score >= points[points.length - 1][1]) {
+    const [p, value] = points[points.length - 1];
+    return Math.min(99, p + (100 - p) * ((score - value) / ((100 - value) || 1)));
+  }
+
+  for (let i = 1; i < points.length; i++) {
+    const [p1, s1] = points[i - 1];
+    const [p2, s2] = points[i];
+    if (score <= s2) {
+      return s2 === s1 ? p2 : p1 + (p2 - p1) * ((score - s1) / (s2 - s1));
+    }
+  }
+
+  return points[points.length - 1][0];
+}
+
+// =============================================================================
+// UTILITY FUNCTIONS
+// =============================================================================
+
+// Abramowitz-Stegun approximation of the standard normal CDF
+function normalCdf(z) {
+  const t = 1 / (1 + 0.2316419 * Math.abs(z));
+  const d = 0.3989423 * Math.exp(-z * z / 2);
+  const tail = d * t * (0.3193815 + t * (-0.3565638 + t * (1.781478 + t * (-1.821256 + t * 1.330274))));
+  return z >= 0 ? 1 - tail : tail;
+}
+
+// Acklam's rational approximation of the inverse normal CDF
+function inverseNormalCdf(p) {
+  const clamped = Math.min(Math.max(p, 0.001), 0.999);
+  const a = [-39.69683028665376, 220.9460984245205, -275.9285104469687, 138.357751867269, -30.66479806614716, 2.506628277459239];
+  const b = [-54.47609879822406, 161.5858368580409, -155.6989798598866, 66.80131188771972, -13.28068155288572];
+  const c = [-0.007784894002430293, -0.3223964580411365, -2.400758277161838, -2.549732539343734, 4.374664141464968, 2.938163982698783];
+  const d = [0.007784695709041462, 0.3224671290700398, 2.445134137142996, 3.754408661907416];
+  const low = 0.02425;
+
+  if (clamped < low) {
+    const q = Math.sqrt(-2 * Math.log(clamped));
+    return (((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) /
+      ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+  }
+  if (clamped > 1 - low) {
+    const q = Math.sqrt(-2 * Math.log(1 - clamped));
+    return -(((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) /
+      ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+  }
+
+  const q = clamped - 0.5;
+  const r = q * q;
+  return (((((a[0] * r + a[1]) * r + a[2]) * r + a[3]) * r + a[4]) * r + a[5]) * q /
+    (((((b[0] * r + b[1]) * r + b[2]) * r + b[3]) * r + b[4]) * r + 1);
+}
+
+function normalizeText(value) {
+  return typeof value === 'string' ? value.trim().toLowerCase() : '';
+}
+
+module.exports = {
+  loadNormsTable,
+  validateNormsTable,
+  applyNorms
+};
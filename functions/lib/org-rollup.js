@@ -0,0 +1,148 @@
+// Trust Foundation Check - Organization Rollup
+// Combines the scored reports of many leaders in one company into an
+// organization-level view: how each red flag and foundation is distributed
+// across leaders, which top-3 combinations and density patterns recur, and
+// how leaders split across recommendation levels.
+//
+// Each leader counts once, with their latest report. As with team results,
+// nothing is shown until the profile's organizationRollup.minLeaders have
+// taken part, so no single leader's scores can be read back out. For the same
+// reason distributions carry no minimum or maximum, which would be the
+// lowest- and highest-scoring leaders' own scores.
+
+const { bandForScore } = require('./scoring-profile');
+
+const RECOMMENDATION_LEVELS = ['INTENSIVE', 'MODERATE', 'MAINTENANCE', 'OPTIMIZATION'];
+const DENSITY_PATTERNS = ['DEEP PATTERN', 'CONCENTRATED', 'DISPERSED'];
+
+// Legal suffixes dropped when grouping, so "Acme Inc." and "ACME" match
+const COMPANY_SUFFIXES = ['incorporated', 'inc', 'llc', 'ltd', 'limited', 'corp', 'corporation', 'co', 'company', 'gmbh', 'plc'];
+
+const TOP_COMBINATIONS = 10;
+
+// =============================================================================
+// COMPANIES
+// =============================================================================
+
+function normalizeCompanyName(company) {
+  if (typeof company !== 'string') return null;
+
+  const words = company
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/[^a-z0-9\s]/g, ' ')
+    .split(/\s+/)
+    .filter(Boolean);
+
+  while (words.length > 1 && COMPANY_SUFFIXES.includes(words[words.length - 1])) {
+    words.pop();
+  }
+  return words.length > 0 ? words.join(' ') : null;
+}
+
+// =============================================================================
+// ROLLUP
+// =============================================================================
+
+// payloads: scored VectorShift payloads, one per leader
+function buildOrganizationRollup(payloads, profile) {
+  const minLeaders = profile.organizationRollup.minLeaders;
+
+  if (payloads.length < minLeaders) {
+    return {
+      available: false,
+      leaderCount: payloads.length,
+      minLeaders,
+      reason: `Organization results need at least ${minLeaders} leaders (${payloads.length} so far)`
+    };
+  }
+
+  const redFlags = describeScales(payloads.map(payload => payload.trustChallenges.allScores), profile.severityBands);
+  const foundations = describeScales(payloads.map(payload => payload.trustStrengths.allScores), profile.strengthBands);
+
+  return {
+    available: true,
+    leaderCount: payloads.length,
+    minLeaders,
+    redFlags,
+    foundations,
+    mostCommonTopChallenges: countValues(payloads.flatMap(payload => payload.trustChallenges.top3.map(challenge => challenge.name)), payloads.length)
+      .slice(0, 3),
+    combinationKeys: countValues(payloads.map(payload => payload.patternAnalysis.combinationKey), payloads.length)
+      .slice(0, TOP_COMBINATIONS),
+    densityPatterns: countCategories(payloads.map(payload => payload.trustChallenges.densityPattern.type), DENSITY_PATTERNS),
+    recommendationLevels: countCategories(payloads.map(payload => payload.reportMetadata.recommendationLevel), RECOMMENDATION_LEVELS)
+  };
+}
+
+function describeScales(scoreMaps, bands) {
+  const results = {};
+
+  Object.keys(scoreMaps[0]).forEach(scale => {
+    // Leaders whose answers left this scale unscored are left out of it
+    const scores = scoreMaps.map(map => map[scale]).filter(score => typeof score === 'number');
+    results[scale] = describeDistribution(scores, bands);
+  });
+
+  return results;
+}
+
+function describeDistribution(scores, bands) {
+  const bandCounts = Object.fromEntries(Object.keys(bands).map(band => [band, 0]));
+  if (scores.length === 0) {
+    return { n: 0, mean: null, median: null, p25: null, p75: null, band: null, bandCounts };
+  }
+
+  const sorted = [...scores].sort((a, b) => a - b);
+  const mean = Math.round(scores.reduce((sum, score) => sum + score, 0) / scores.length);
+  scores.forEach(score => bandCounts[bandForScore(score, bands)]++);
+
+  return {
+    n: scores.length,
+    mean,
+    median: Math.round(percentile(sorted, 0.5)),
+    p25: Math.round(percentile(sorted, 0.25)),
+    p75: Math.round(percentile(sorted, 0.75)),
+    band: bandForScore(mean, bands),
+    bandCounts
+  };
+}
+
+// Linear interpolation between the closest ranks
+function percentile(sorted, fraction) {
+  const position = (sorted.length - 1) * fraction;
+  const lower = Math.floor(position);
+  const upper = Math.ceil(position);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+}
+
+// Most frequent first; share is of all leaders
+function countValues(values, leaderCount) {
+  const counts = {};
+  values.forEach(value => {
+    counts[value] = (counts[value] || 0) + 1;
+  });
+
+  return Object.entries(counts)
+    .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+    .map(([value, count]) => ({ value, count, share: toShare(count, leaderCount) }));
+}
+
+// Every known category is listed, including the empty ones
+function countCategories(values, categories) {
+  const results = {};
+  [...categories, ...values.filter(value => !categories.includes(value))].forEach(category => {
+    const count = values.filter(value => value === category).length;
+    results[category] = { count, share: toShare(count, values.length) };
+  });
+  return results;
+}
+
+function toShare(count, total) {
+  return total > 0 ? Math.round(count / total * 1000) / 1000 : 0;
+}
+
+module.exports = {
+  normalizeCompanyName,
+  buildOrganizationRollup
+};
@@ -0,0 +1,268 @@
+// Trust Foundation Check - PDF Writer
+// Just enough PDF to print a report: pages of text in the standard Helvetica
+// fonts, filled rectangles, lines and polygons. The standard fonts ship with every PDF
+// viewer, so nothing is embedded and the files stay small.
+//
+// Coordinates are in points from the top-left corner of the page; the writer
+// flips them into PDF's bottom-left space. Text is WinAnsi encoded: common
+// typographic punctuation is mapped, anything else outside Latin-1 prints as ?.
+
+const FONTS = {
+  regular: { resource: 'F1', baseFont: 'Helvetica' },
+  bold: { resource: 'F2', baseFont: 'Helvetica-Bold' }
+};
+
+// Glyph widths (1/1000 em) for characters 32-126, from the standard AFM metrics
+const WIDTHS = {
+  regular: [
+    278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+    1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+    333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+    556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+  ],
+  bold: [
+    278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+    975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+    333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+    611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584
+  ]
+};
+
+// Unicode punctuation that WinAnsi has a slot for: [byte, regular width, bold width]
+const WIN_ANSI_EXTRAS = {
+  '–': [0x96, 556, 556],
+  '—': [0x97, 1000, 1000],
+  '‘': [0x91, 222, 278],
+  '’': [0x92, 222, 278],
+  '“': [0x93, 333, 500],
+  '”': [0x94, 333, 500],
+  '•': [0x95, 350, 350],
+  '·': [0xB7, 278, 278],
+  '…': [0x85, 1000, 1000]
+};
+
+// Latin-1 letters are close enough to an average glyph for wrapping purposes
+const FALLBACK_WIDTH = 556;
+
+const PAGE_SIZES = {
+  letter: { width: 612, height: 792 },
+  a4: { width: 595, height: 842 }
+};
+
+// =============================================================================
+// DOCUMENT
+// =============================================================================
+
+function createPdfDocument(options = {}) {
+  const size = PAGE_SIZES[options.pageSize || 'letter'];
+  if (!size) {
+    throw new Error(`Unknown page size "${options.pageSize}" (available: ${Object.keys(PAGE_SIZES).join(', ')})`);
+  }
+
+  const pages = [];
+  let current = null;
+
+  function addPage() {
+    current = [];
+    pages.push(current);
+    return pages.length;
+  }
+
+  function ensurePage() {
+    if (!current) addPage();
+  }
+
+  // y is the top of the text line; the baseline sits one ascent below it
+  function text(value, x, y, style = {}) {
+    ensurePage();
+    const font = style.font || 'regular';
+    const fontSize = style.size || 11;
+    const baseline = size.height - y - fontSize * 0.8;
+
+    current.push(
+      'BT',
+      `${formatColor(style.color || '#000000')} rg`,
+      `/${FONTS[font].resource} ${formatNumber(fontSize)} Tf`,
+      `${formatNumber(x)} ${formatNumber(baseline)} Td`,
+      `(${encodeText(value)}) Tj`,
+      'ET'
+    );
+  }
+
+  function rect(x, y, width, height, style = {}) {
+    ensurePage();
+    current.push(
+      `${formatColor(style.fill || '#000000')} rg`,
+      `${formatNumber(x)} ${formatNumber(size.height - y - height)} ${formatNumber(width)} ${formatNumber(height)} re f`
+    );
+  }
+
+  function line(x1, y1, x2, y2, style = {}) {
+    ensurePage();
+    current.push(
+      `${formatColor(style.color || '#000000')} RG`,
+      `${formatNumber(style.width || 1)} w`,
+      `${formatNumber(x1)} ${formatNumber(size.height - y1)} m ${formatNumber(x2)} ${formatNumber(size.height - y2)} l S`
+    );
+  }
+
+  // points: [{ x, y }]; filled, stroked or both depending on the style given
+  function polygon(points, style = {}) {
+    ensurePage();
+    const path = points
+      .map((point, index) => `${formatNumber(point.x)} ${formatNumber(size.height - point.y)} ${index === 0 ? 'm' : 'l'}`)
+      .join(' ');
+    const paint = style.fill && style.stroke ? 'b' : style.fill ? 'f' : 's';
+
+    if (style.fill) current.push(`${formatColor(style.fill)} rg`);
+    if (style.stroke) current.push(`${formatColor(style.stroke)} RG`, `${formatNumber(style.width || 1)} w`);
+    current.push(`${path} ${paint}`);
+  }
+
+  function toBuffer(info = {}) {
+    ensurePage();
+    return serialize(pages, size, info);
+  }
+
+  return {
+    width: size.width,
+    height: size.height,
+    addPage,
+    text,
+    rect,
+    line,
+    polygon,
+    measure: measureText,
+    wrap: wrapText,
+    get pageCount() {
+      return pages.length;
+    },
+    toBuffer
+  };
+}
+
+// =============================================================================
+// TEXT
+// =============================================================================
+
+function measureText(value, font = 'regular', fontSize = 11) {
+  let units = 0;
+  for (const char of String(value)) {
+    const code = char.charCodeAt(0);
+    if (code >= 32 && code <= 126) {
+      units += WIDTHS[font][code - 32];
+    } else if (WIN_ANSI_EXTRAS[char]) {
+      units += WIN_ANSI_EXTRAS[char][font === 'bold' ? 2 : 1];
+    } else {
+      units += FALLBACK_WIDTH;
+    }
+  }
+  return units * fontSize / 1000;
+}
+
+// Greedy word wrap; a single word wider than the line is left to overflow
+function wrapText(value, font, fontSize, maxWidth) {
+  const lines = [];
+
+  String(value).split('\n').forEach(paragraph => {
+    let lineText = '';
+    paragraph.split(/\s+/).filter(Boolean).forEach(word => {
+      const candidate = lineText ? `${lineText} ${word}` : word;
+      if (lineText && measureText(candidate, font, fontSize) > maxWidth) {
+        lines.push(lineText);
+        lineText = word;
+      } else {
+        lineText = candidate;
+      }
+    });
+    lines.push(lineText);
+  });
+
+  return lines;
+}
+
+// A PDF literal string: WinAnsi bytes with delimiters escaped
+function encodeText(value) {
+  let encoded = '';
+  for (const char of String(value)) {
+    const code = char.charCodeAt(0);
+    let byte;
+    if (WIN_ANSI_EXTRAS[char]) byte = WIN_ANSI_EXTRAS[char][0];
+    else if (code >= 32 && code <= 126) byte = code;
+    else if (code >= 160 && code <= 255) byte = code;
+    else byte = 63; // ?
+
+    if (byte === 40 || byte === 41 || byte === 92) encoded += `\\${String.fromCharCode(byte)}`;
+    else if (byte > 126) encoded += `\\${byte.toString(8).padStart(3, '0')}`;
+    else encoded += String.fromCharCode(byte);
+  }
+  return encoded;
+}
+
+function formatColor(hex) {
+  const value = hex.replace('#', '');
+  return [0, 2, 4]
+    .map(offset => formatNumber(parseInt(value.slice(offset, offset + 2), 16) / 255))
+    .join(' ');
+}
+
+function formatNumber(value) {
+  return String(Math.round(value * 1000) / 1000);
+}
+
+// =============================================================================
+// SERIALIZATION
+// =============================================================================
+
+// Object layout: 1 catalog, 2 page tree, 3-4 fonts, 5 info, then a page and
+// its content stream for each page
+function serialize(pages, size, info) {
+  const objects = [];
+  const pageIds = pages.map((_, index) => 6 + index * 2);
+
+  objects[1] = '<< /Type /Catalog /Pages 2 0 R >>';
+  objects[2] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pages.length} >>`;
+  objects[3] = `<< /Type /Font /Subtype /Type1 /BaseFont /${FONTS.regular.baseFont} /Encoding /WinAnsiEncoding >>`;
+  objects[4] = `<< /Type /Font /Subtype /Type1 /BaseFont /${FONTS.bold.baseFont} /Encoding /WinAnsiEncoding >>`;
+  objects[5] = `<< /Title (${encodeText(info.title || '')}) /Author (${encodeText(info.author || '')}) /Producer (Trust Foundation Check) /CreationDate (${formatPdfDate(info.createdAt || new Date())}) >>`;
+
+  pages.forEach((operations, index) => {
+    const pageId = pageIds[index];
+    const stream = operations.join('\n');
+    objects[pageId] = `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${size.width} ${size.height}] ` +
+      `/Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${pageId + 1} 0 R >>`;
+    objects[pageId + 1] = `<< /Length ${Buffer.byteLength(stream, 'latin1')} >>\nstream\n${stream}\nendstream`;
+  });
+
+  // Everything is Latin-1, so string length and byte offsets agree
+  let output = '%PDF-1.4\n%\xE2\xE3\xCF\xD3\n';
+  const offsets = [];
+  for (let id = 1; id < objects.length; id++) {
+    offsets[id] = output.length;
+    output += `${id} 0 obj\n${objects[id]}\nendobj\n`;
+  }
+
+  const xrefOffset = output.length;
+  output += `xref\n0 ${objects.length}\n0000000000 65535 f \n`;
+  for (let id = 1; id < objects.length; id++) {
+    output += `${String(offsets[id]).padStart(10, '0')} 00000 n \n`;
+  }
+  output += `trailer\n<< /Size ${objects.length} /Root 1 0 R /Info 5 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+  return Buffer.from(output, 'latin1');
+}
+
+function formatPdfDate(date) {
+  const pad = value => String(value).padStart(2, '0');
+  return `D:${date.getUTCFullYear()}${pad(date.getUTCMonth() + 1)}${pad(date.getUTCDate())}` +
+    `${pad(date.getUTCHours())}${pad(date.getUTCMinutes())}${pad(date.getUTCSeconds())}Z`;
+}
+
+module.exports = {
+  PAGE_SIZES,
+  createPdfDocument
+};
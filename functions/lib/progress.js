@@ -0,0 +1,119 @@
+// Trust Foundation Check - Progress Tracking
+// A returning participant's retake is compared with their previous completed
+// assessment: how far each red flag and foundation moved, and whether it
+// crossed into another severity band or strength level.
+//
+// Movements smaller than the profile's progress.meaningfulChange count as
+// steady, so ordinary answer-to-answer noise isn't reported as progress.
+// Both sets of scores are banded with the current profile, so a band change
+// always reflects the scores and never a change of cut-offs.
+
+const { SEVERITY_LABELS, STRENGTH_LABELS, bandForScore } = require('./scoring-profile');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// previous: { submissionId, assessedAt, priorAssessments, redFlags, foundations, top3 }
+// current:  { assessedAt, redFlags, foundations, top3 }
+// Score maps are allScores from scoreTrustChallenges / scoreTrustStrengths.
+function compareAssessments(previous, current, profile) {
+  const threshold = profile.progress.meaningfulChange;
+
+  // Red flags improve by going down, foundations by going up
+  const redFlags = compareScales(previous.redFlags, current.redFlags, -1, profile.severityBands, SEVERITY_LABELS, threshold);
+  const foundations = compareScales(previous.foundations, current.foundations, 1, profile.strengthBands, STRENGTH_LABELS, threshold);
+
+  const moved = [
+    ...Object.entries(redFlags).map(([name, change]) => ({ name, kind: 'redFlag', ...change })),
+    ...Object.entries(foundations).map(([name, change]) => ({ name, kind: 'foundation', ...change }))
+  ];
+  const byImprovement = (a, b) => Math.abs(b.improvement) - Math.abs(a.improvement);
+  const improved = moved.filter(change => change.direction === 'improved').sort(byImprovement);
+  const worsened = moved.filter(change => change.direction === 'worsened').sort(byImprovement);
+
+  return {
+    available: true,
+    previousSubmissionId: previous.submissionId,
+    previousAssessedAt: previous.assessedAt,
+    daysSincePrevious: daysBetween(previous.assessedAt, current.assessedAt),
+    assessmentNumber: previous.priorAssessments + 2,
+    meaningfulChange: threshold,
+    redFlags,
+    foundations,
+    improved: improved.map(({ name, kind, delta }) => ({ name, kind, delta })),
+    worsened: worsened.map(({ name, kind, delta }) => ({ name, kind, delta })),
+    bandChanges: moved
+      .filter(change => change.bandMovement !== 'same' && change.bandMovement !== null)
+      .map(({ name, kind, bandBefore, bandAfter, bandMovement }) => ({ name, kind, from: bandBefore, to: bandAfter, movement: bandMovement })),
+    top3: {
+      before: previous.top3,
+      after: current.top3,
+      resolved: previous.top3.filter(name => !current.top3.includes(name)),
+      emerged: current.top3.filter(name => !previous.top3.includes(name))
+    },
+    overall: describeOverall(moved, improved.length, worsened.length)
+  };
+}
+
+// improvementSign turns a raw delta into "better is positive" for the scale
+function compareScales(before, after, improvementSign, bands, labels, threshold) {
+  const results = {};
+
+  Object.keys(after).forEach(scale => {
+    const previousScore = before[scale];
+    const score = after[scale];
+
+    if (typeof score !== 'number' || typeof previousScore !== 'number') {
+      results[scale] = { before: previousScore ?? null, after: score ?? null, delta: null, improvement: null, direction: 'not_comparable', bandBefore: null, bandAfter: null, bandMovement: null };
+      return;
+    }
+
+    const delta = score - previousScore;
+    const improvement = delta * improvementSign;
+    const bandBefore = bandForScore(previousScore, bands);
+    const bandAfter = bandForScore(score, bands);
+
+    results[scale] = {
+      before: previousScore,
+      after: score,
+      delta,
+      improvement,
+      direction: Math.abs(delta) < threshold ? 'steady' : improvement > 0 ? 'improved' : 'worsened',
+      bandBefore,
+      bandAfter,
+      bandMovement: describeBandMovement(bandBefore, bandAfter, labels, improvementSign)
+    };
+  });
+
+  return results;
+}
+
+// Labels are listed from the highest band down, so a move to an earlier label
+// means a higher score: worse for a red flag, better for a foundation
+function describeBandMovement(bandBefore, bandAfter, labels, improvementSign) {
+  const shift = labels.indexOf(bandBefore) - labels.indexOf(bandAfter);
+  if (shift === 0) return 'same';
+  return shift * improvementSign > 0 ? 'improved' : 'worsened';
+}
+
+function describeOverall(moved, improvedCount, worsenedCount) {
+  const comparable = moved.filter(change => change.improvement !== null);
+  const meanImprovement = comparable.length > 0
+    ? Math.round(comparable.reduce((sum, change) => sum + change.improvement, 0) / comparable.length * 10) / 10
+    : null;
+
+  let direction = 'steady';
+  if (improvedCount > 0 && worsenedCount === 0) direction = 'improving';
+  else if (worsenedCount > 0 && improvedCount === 0) direction = 'declining';
+  else if (improvedCount > 0 && worsenedCount > 0) direction = 'mixed';
+
+  return { direction, improvedCount, worsenedCount, meanImprovement };
+}
+
+function daysBetween(from, to) {
+  const elapsed = Date.parse(to) - Date.parse(from);
+  return Number.isFinite(elapsed) ? Math.max(0, Math.round(elapsed / DAY_MS)) : null;
+}
+
+module.exports = {
+  compareAssessments
+};
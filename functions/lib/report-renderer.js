@@ -0,0 +1,441 @@
+// Trust Foundation Check - Report Renderer
+// Turns a scored VectorShift payload into a baseline report - top 3
+// challenges, trust architecture, bridges, landscape and an immediate action -
+// as a branded HTML page or a print-ready PDF. The narrative report normally
+// comes from VectorShift; with options.narrative the rule-based narrative
+// (lib/fallback-narrative) leads the report instead, for when it never will.
+//
+// Both formats are drawn from the same report model, so they always agree.
+
+const { radarChart, radarGeometry, categoryBarChart, colors: CHART_COLORS } = require('../../shared/charts');
+const { createPdfDocument } = require('./pdf-writer');
+const { resolveInstrument } = require('./instruments');
+const { IMMEDIATE_ACTIONS, generateFallbackNarrative } = require('./fallback-narrative');
+
+const BRAND_COLOR = '#11ACD0';
+const TEXT_COLOR = '#333333';
+const MUTED_COLOR = '#666666';
+const TRACK_COLOR = '#E8EEF0';
+
+const BAND_COLORS = {
+  'Critical Pressure Points': '#C0392B',
+  'Active Friction': '#E67E22',
+  'Moderate Tension': '#D4AC0D',
+  'Background Static': '#95A5A6',
+  'Cornerstone': '#11ACD0',
+  'Solid': '#27AE60',
+  'Emerging': '#D4AC0D',
+  'Fragile': '#95A5A6'
+};
+
+const ARCHITECTURE_LEVELS = [
+  { key: 'cornerstone', label: 'Cornerstone', intro: 'Your strongest ground - foundations the team can lean on.' },
+  { key: 'solid', label: 'Solid', intro: 'Reliable foundations to build from.' },
+  { key: 'emerging', label: 'Emerging', intro: 'Foundations that are starting to grow.' },
+  { key: 'fragile', label: 'Fragile', intro: 'Foundations that need gentle, consistent attention.' }
+];
+
+// =============================================================================
+// REPORT MODEL
+// =============================================================================
+
+// options.narrative adds the rule-based narrative sections
+function buildReportModel(payload, options = {}) {
+  const { participant, trustChallenges, trustStrengths, patternAnalysis, reportMetadata } = payload;
+  const relationships = patternAnalysis.relationships || [];
+  const actionCode = reportMetadata.customSections.immediateAction;
+  const { instrument } = resolveInstrument(participant.assessmentVersion);
+
+  return {
+    title: 'Trust Foundation Check Report',
+    participant: {
+      name: participant.name,
+      company: participant.company,
+      assessedOn: formatDate(participant.submissionDate)
+    },
+    instrument,
+    scores: {
+      redFlags: trustChallenges.allScores,
+      foundations: trustStrengths.allScores
+    },
+    landscape: {
+      type: patternAnalysis.trustLandscape.landscapeType,
+      description: patternAnalysis.trustLandscape.description
+    },
+    topChallenges: trustChallenges.top3.map(challenge => {
+      const relationship = relationships.find(rel => rel.challengeName === challenge.name);
+      return {
+        rank: challenge.rank,
+        name: challenge.name,
+        score: challenge.score,
+        band: challenge.severity,
+        counterpart: relationship ? { name: relationship.strengthName, score: relationship.strengthScore } : null,
+        insight: relationship?.insight || null
+      };
+    }),
+    architecture: ARCHITECTURE_LEVELS.map(level => ({
+      label: level.label,
+      intro: level.intro,
+      foundations: trustStrengths[level.key].map(foundation => ({
+        name: foundation.name,
+        score: foundation.score,
+        band: level.label,
+        description: foundation.description,
+        guidance: foundation.guidance
+      }))
+    })).filter(level => level.foundations.length > 0),
+    bridges: (trustStrengths.trustBridges || []).slice(0, 3).map(bridge => ({
+      name: bridge.foundation,
+      score: bridge.score,
+      potential: bridge.bridgePotential
+    })),
+    immediateAction: IMMEDIATE_ACTIONS[actionCode] || IMMEDIATE_ACTIONS.trust_building_conversation,
+    narrative: options.narrative ? generateFallbackNarrative(payload).sections : null,
+    caveats: payload.processingHints?.responseQualityGuidance?.caveats || []
+  };
+}
+
+function formatDate(value) {
+  const date = new Date(value);
+  return Number.isNaN(date.getTime())
+    ? ''
+    : date.toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric', timeZone: 'UTC' });
+}
+
+function formatScore(score) {
+  return typeof score === 'number' ? String(score) : '-';
+}
+
+// =============================================================================
+// HTML
+// =============================================================================
+
+function renderReportHtml(payload, options = {}) {
+  const model = buildReportModel(payload, options);
+  const pdfLink = options.pdfUrl
+    ? `<p class="actions"><a href="${escapeHtml(options.pdfUrl)}">Download as PDF</a></p>`
+    : '';
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${escapeHtml(model.title)} - ${escapeHtml(model.participant.name)}</title>
+    <style>
+        body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; color: ${TEXT_COLOR}; line-height: 1.6; margin: 0; background: #f5f7f8; }
+        .report { max-width: 760px; margin: 32px auto; padding: 40px; background: #fff; border-radius: 8px; }
+        header { border-bottom: 3px solid ${BRAND_COLOR}; padding-bottom: 16px; margin-bottom: 24px; }
+        header img { width: 40px; height: 40px; vertical-align: middle; margin-right: 12px; }
+        h1 { display: inline; vertical-align: middle; font-size: 26px; margin: 0; }
+        h2 { color: ${BRAND_COLOR}; font-size: 20px; margin: 32px 0 12px; }
+        h3 { font-size: 16px; margin: 16px 0 4px; }
+        .meta, .muted { color: ${MUTED_COLOR}; font-size: 14px; }
+        .landscape { background: #f8fbfc; border-left: 4px solid ${BRAND_COLOR}; padding: 16px 20px; border-radius: 4px; }
+        .item { margin: 12px 0 20px; }
+        .bar { background: ${TRACK_COLOR}; border-radius: 4px; height: 10px; margin: 6px 0; }
+        .bar span { display: block; height: 10px; border-radius: 4px; }
+        .score { float: right; font-weight: 600; }
+        .chart { text-align: center; margin: 16px 0; }
+        .action { background: ${BRAND_COLOR}; color: #fff; padding: 20px 24px; border-radius: 8px; }
+        .action h3 { margin-top: 0; }
+        .actions a { color: ${BRAND_COLOR}; font-weight: 600; }
+        .divider { border-top: 3px solid ${BRAND_COLOR}; padding-top: 24px; margin-top: 40px; }
+        footer { margin-top: 40px; font-size: 13px; color: ${MUTED_COLOR}; border-top: 1px solid #e0e0e0; padding-top: 16px; }
+        @media print {
+            body { background: #fff; }
+            .report { margin: 0; padding: 0; max-width: none; }
+            .actions { display: none; }
+            .item, .action, .chart { break-inside: avoid; }
+        }
+    </style>
+</head>
+<body>
+    <main class="report">
+        <header>
+            <img src="/rtc-logo-circle-90K-300x300.png" alt="RTC Logo">
+            <h1>${escapeHtml(model.title)}</h1>
+            <p class="meta">${escapeHtml([model.participant.name, model.participant.company, model.participant.assessedOn].filter(Boolean).join(' · '))}</p>
+            ${pdfLink}
+        </header>
+        ${model.narrative ? `${model.narrative.map(section => `
+        <h2>${escapeHtml(section.title)}</h2>
+        ${section.paragraphs.map(paragraph => `<p>${escapeHtml(paragraph)}</p>`).join('')}`).join('')}
+
+        <h2 class="divider">Your Scores in Detail</h2>` : ''}
+
+        <h2>Your Trust Landscape</h2>
+        <div class="landscape">
+            <strong>${escapeHtml(model.landscape.type)}</strong>
+            <p style="margin: 4px 0 0;">${escapeHtml(model.landscape.description)}</p>
+        </div>
+
+        <h2>Your Top 3 Trust Challenges</h2>
+        ${model.topChallenges.map(challenge => `
+        <div class="item">
+            <h3>${challenge.rank}. ${escapeHtml(challenge.name)} <span class="score">${formatScore(challenge.score)}</span></h3>
+            ${renderBarHtml(challenge.score, challenge.band)}
+            <div class="muted">${escapeHtml(challenge.band)}${challenge.counterpart ? ` · counterpart foundation: ${escapeHtml(challenge.counterpart.name)} (${formatScore(challenge.counterpart.score)})` : ''}</div>
+            ${challenge.insight ? `<p>${escapeHtml(challenge.insight)}</p>` : ''}
+        </div>`).join('')}
+
+        <h2>Your Trust Profile</h2>
+        <p class="muted">Each red flag alongside the foundation that counters it.</p>
+        <div class="chart">${radarChart(model.scores, model.instrument)}</div>
+        <div class="chart">${categoryBarChart(model.scores, model.instrument)}</div>
+
+        <h2>Your Trust Architecture</h2>
+        ${model.architecture.map(level => `
+        <h3>${escapeHtml(level.label)}</h3>
+        <p class="muted">${escapeHtml(level.intro)}</p>
+        ${level.foundations.map(foundation => `
+        <div class="item">
+            <strong>${escapeHtml(foundation.name)}</strong> <span class="score">${formatScore(foundation.score)}</span>
+            ${renderBarHtml(foundation.score, foundation.band)}
+            <div class="muted">${escapeHtml(foundation.description)}</div>
+            <p style="margin: 4px 0 0;">${escapeHtml(foundation.guidance)}</p>
+        </div>`).join('')}`).join('')}
+
+        ${model.bridges.length > 0 ? `
+        <h2>Your Trust Bridges</h2>
+        <p class="muted">Strong foundations that can carry growth into weaker areas.</p>
+        <ul>
+            ${model.bridges.map(bridge => `<li><strong>${escapeHtml(bridge.name)}</strong> (${formatScore(bridge.score)}) - ${escapeHtml(bridge.potential)}</li>`).join('')}
+        </ul>` : ''}
+
+        ${model.narrative ? '' : `
+        <h2>One Thing to Start This Week</h2>
+        <div class="action">
+            <h3>${escapeHtml(model.immediateAction.title)}</h3>
+            <p style="margin: 0;">${escapeHtml(model.immediateAction.description)}</p>
+        </div>`}
+
+        <footer>
+            ${model.caveats.map(caveat => `<p>${escapeHtml(caveat)}</p>`).join('')}
+            <p>${escapeHtml(footerNote(model))}</p>
+        </footer>
+    </main>
+</body>
+</html>
+`;
+}
+
+function footerNote(model) {
+  return model.narrative
+    ? 'This report is assembled directly from your scores and our authored guidance.'
+    : 'This baseline report is generated directly from your scores. Your full personalized report follows by email.';
+}
+
+function renderBarHtml(score, band) {
+  const width = typeof score === 'number' ? Math.max(0, Math.min(100, score)) : 0;
+  return `<div class="bar"><span style="width: ${width}%; background: ${BAND_COLORS[band] || BRAND_COLOR};"></span></div>`;
+}
+
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// =============================================================================
+// PDF
+// =============================================================================
+
+const PDF_MARGIN = 54;
+const CALLOUT_PADDING = 14;
+const RADAR_HEIGHT = 300;
+
+function renderReportPdf(payload, options = {}) {
+  const model = buildReportModel(payload, options);
+  const doc = createPdfDocument({ pageSize: options.pageSize });
+  const layout = createPdfLayout(doc, `${model.title} · ${model.participant.name}`);
+
+  doc.rect(PDF_MARGIN, PDF_MARGIN, doc.width - PDF_MARGIN * 2, 4, { fill: BRAND_COLOR });
+  layout.space(16);
+  layout.paragraph(model.title, { font: 'bold', size: 22 });
+  layout.paragraph([model.participant.name, model.participant.company, model.participant.assessedOn].filter(Boolean).join(' · '), { color: MUTED_COLOR });
+
+  if (model.narrative) {
+    model.narrative.forEach(section => {
+      layout.heading(section.title);
+      section.paragraphs.forEach(paragraph => {
+        layout.paragraph(paragraph);
+        layout.space(6);
+      });
+    });
+    layout.heading('Your Scores in Detail');
+  }
+
+  layout.heading('Your Trust Landscape');
+  layout.paragraph(model.landscape.type, { font: 'bold' });
+  layout.paragraph(model.landscape.description);
+
+  layout.heading('Your Top 3 Trust Challenges');
+  model.topChallenges.forEach(challenge => {
+    layout.scoreRow(`${challenge.rank}. ${challenge.name}`, challenge.score, challenge.band);
+    const counterpart = challenge.counterpart
+      ? ` · counterpart foundation: ${challenge.counterpart.name} (${formatScore(challenge.counterpart.score)})`
+      : '';
+    layout.paragraph(`${challenge.band}${counterpart}`, { size: 9, color: MUTED_COLOR });
+    if (challenge.insight) layout.paragraph(challenge.insight);
+    layout.space(8);
+  });
+
+  layout.heading('Your Trust Profile', RADAR_HEIGHT);
+  layout.paragraph('Each red flag alongside the foundation that counters it.', { size: 9, color: MUTED_COLOR });
+  layout.radar(model.scores, model.instrument);
+
+  layout.heading('Your Trust Architecture');
+  model.architecture.forEach(level => {
+    layout.paragraph(level.label, { font: 'bold', size: 13 });
+    layout.paragraph(level.intro, { size: 9, color: MUTED_COLOR });
+    layout.space(4);
+    level.foundations.forEach(foundation => {
+      layout.scoreRow(foundation.name, foundation.score, foundation.band);
+      layout.paragraph(foundation.description, { size: 9, color: MUTED_COLOR });
+      layout.paragraph(foundation.guidance);
+      layout.space(8);
+    });
+  });
+
+  if (model.bridges.length > 0) {
+    layout.heading('Your Trust Bridges');
+    model.bridges.forEach(bridge => {
+      layout.paragraph(`• ${bridge.name} (${formatScore(bridge.score)}) - ${bridge.potential}`, { indent: 8 });
+    });
+  }
+
+  if (!model.narrative) {
+    layout.heading('One Thing to Start This Week', layout.calloutHeight(model.immediateAction.description));
+    layout.callout(model.immediateAction.title, model.immediateAction.description);
+  }
+
+  layout.space(24);
+  model.caveats.forEach(caveat => layout.paragraph(caveat, { size: 9, color: MUTED_COLOR }));
+  layout.paragraph(footerNote(model), { size: 9, color: MUTED_COLOR });
+
+  return doc.toBuffer({ title: model.title, author: model.participant.name });
+}
+
+// Flows content down the page, starting a new page (with footer) when the
+// next block would not fit
+function createPdfLayout(doc, footerText) {
+  const contentWidth = doc.width - PDF_MARGIN * 2;
+  const bottom = doc.height - PDF_MARGIN;
+  let y = PDF_MARGIN;
+
+  function newPage() {
+    doc.addPage();
+    doc.text(footerText, PDF_MARGIN, doc.height - PDF_MARGIN + 18, { size: 8, color: MUTED_COLOR });
+    y = PDF_MARGIN;
+  }
+
+  function ensureSpace(height) {
+    if (y + height > bottom) newPage();
+  }
+
+  function paragraph(value, style = {}) {
+    const font = style.font || 'regular';
+    const size = style.size || 11;
+    const indent = style.indent || 0;
+    const lineHeight = size * 1.4;
+
+    doc.wrap(value, font, size, contentWidth - indent).forEach(lineText => {
+      ensureSpace(lineHeight);
+      doc.text(lineText, PDF_MARGIN + indent, y, { font, size, color: style.color || TEXT_COLOR });
+      y += lineHeight;
+    });
+  }
+
+  // keepWithNext: height of what must follow the heading on the same page
+  function heading(value, keepWithNext = 40) {
+    ensureSpace(40 + keepWithNext);
+    y += 14;
+    doc.text(value, PDF_MARGIN, y, { font: 'bold', size: 16, color: BRAND_COLOR });
+    y += 26;
+  }
+
+  function scoreRow(label, score, band) {
+    ensureSpace(32);
+    const scoreText = formatScore(score);
+    doc.text(label, PDF_MARGIN, y, { font: 'bold', size: 11, color: TEXT_COLOR });
+    doc.text(scoreText, PDF_MARGIN + contentWidth - doc.measure(scoreText, 'bold', 11), y, { font: 'bold', size: 11, color: TEXT_COLOR });
+    y += 16;
+
+    const width = typeof score === 'number' ? Math.max(0, Math.min(100, score)) / 100 * contentWidth : 0;
+    doc.rect(PDF_MARGIN, y, contentWidth, 6, { fill: TRACK_COLOR });
+    if (width > 0) doc.rect(PDF_MARGIN, y, width, 6, { fill: BAND_COLORS[band] || BRAND_COLOR });
+    y += 12;
+  }
+
+  function calloutHeight(body) {
+    return CALLOUT_PADDING * 2 + 20 + doc.wrap(body, 'regular', 11, contentWidth - CALLOUT_PADDING * 2).length * 15.4;
+  }
+
+  function callout(title, body) {
+    const padding = CALLOUT_PADDING;
+    const lines = doc.wrap(body, 'regular', 11, contentWidth - padding * 2);
+    const height = calloutHeight(body);
+
+    ensureSpace(height);
+    doc.rect(PDF_MARGIN, y, contentWidth, height, { fill: BRAND_COLOR });
+    doc.text(title, PDF_MARGIN + padding, y + padding, { font: 'bold', size: 13, color: '#FFFFFF' });
+    lines.forEach((lineText, index) => {
+      doc.text(lineText, PDF_MARGIN + padding, y + padding + 20 + index * 15.4, { size: 11, color: '#FFFFFF' });
+    });
+    y += height;
+  }
+
+  // The shared radar layout, drawn with PDF primitives. PDF has no simple
+  // transparency, so foundations are filled and red flags are outlined.
+  function radar(scores, instrument) {
+    ensureSpace(RADAR_HEIGHT);
+    const width = contentWidth;
+    const geometry = radarGeometry(scores, instrument, { width, height: RADAR_HEIGHT, radius: 100 });
+    const offset = point => ({ x: PDF_MARGIN + point.x, y: y + point.y });
+
+    geometry.rings.forEach(ring => doc.polygon(ring.points.map(offset), { stroke: CHART_COLORS.grid }));
+    geometry.axes.forEach(axis => {
+      const center = offset(geometry.center);
+      const end = offset(axis.end);
+      doc.line(center.x, center.y, end.x, end.y, { color: CHART_COLORS.grid });
+    });
+    doc.polygon(geometry.foundationPolygon.map(offset), { fill: '#B8E6F1', stroke: CHART_COLORS.foundation, width: 1.5 });
+    doc.polygon(geometry.redFlagPolygon.map(offset), { stroke: CHART_COLORS.redFlag, width: 2 });
+
+    geometry.axes.forEach(axis => {
+      const anchor = offset(axis.label);
+      axis.label.lines.forEach((lineText, index) => {
+        const textWidth = doc.measure(lineText, 'regular', 8);
+        const x = axis.label.anchor === 'middle' ? anchor.x - textWidth / 2
+          : axis.label.anchor === 'end' ? anchor.x - textWidth
+            : anchor.x;
+        doc.text(lineText, x, anchor.y - 5 - (axis.label.lines.length - 1) * 5 + index * 10, { size: 8, color: TEXT_COLOR });
+      });
+    });
+
+    const legendY = y + RADAR_HEIGHT - 12;
+    doc.rect(PDF_MARGIN + width / 2 - 90, legendY, 8, 8, { fill: CHART_COLORS.redFlag });
+    doc.text('Red flags', PDF_MARGIN + width / 2 - 78, legendY, { size: 8, color: TEXT_COLOR });
+    doc.rect(PDF_MARGIN + width / 2 + 10, legendY, 8, 8, { fill: CHART_COLORS.foundation });
+    doc.text('Trust foundations', PDF_MARGIN + width / 2 + 22, legendY, { size: 8, color: TEXT_COLOR });
+
+    y += RADAR_HEIGHT + 8;
+  }
+
+  function space(height) {
+    y += height;
+  }
+
+  newPage();
+  return { paragraph, heading, scoreRow, callout, calloutHeight, radar, space };
+}
+
+module.exports = {
+  buildReportModel,
+  renderReportHtml,
+  renderReportPdf
+};
@@ -0,0 +1,183 @@
+// Trust Foundation Check - Response Quality Analysis
+// Looks for answer patterns that make a report less trustworthy: straight-lining,
+// extreme-only responding, contradictions between regular and reverse-scored
+// items within a flag, and implausibly fast completion. The result travels with
+// the VectorShift payload so coaches and the narrative can caveat the report;
+// an indicator only carries a caveat when it was detected.
+//
+// Thresholds come from the scoring profile's responseQuality section:
+//   straightLineShare   one value makes up at least this share of answers
+//   straightLineRun     or this many identical answers in a row, in display order
+//   extremeShare        at least this share of answers are a 1 or a 5
+//   inconsistencyGap    reverse-adjusted regular and reverse items in one flag
+//   inconsistentFlags   disagree by this many scale points, in this many flags
+//   minSecondsPerItem   fewer seconds per answered item is implausibly fast
+
+// =============================================================================
+// ANALYSIS
+// =============================================================================
+
+function analyzeResponseQuality(assessmentData, instrument, profile) {
+  const { responses, questionOrder, timings } = assessmentData;
+  const settings = profile.responseQuality;
+
+  const indicators = {
+    straightLining: detectStraightLining(responses, questionOrder, settings),
+    extremeResponding: detectExtremeResponding(responses, settings),
+    inconsistency: detectInconsistency(responses, instrument, settings),
+    speed: detectSpeeding(responses, timings, settings)
+  };
+
+  const detected = Object.entries(indicators)
+    .filter(([, indicator]) => indicator.detected)
+    .map(([name]) => name);
+
+  let flag = 'ok';
+  if (detected.length >= 2) flag = 'unreliable';
+  else if (detected.length === 1) flag = 'caution';
+
+  return {
+    flag,
+    detected,
+    indicators,
+    caveats: detected.map(name => indicators[name].caveat)
+  };
+}
+
+function detectStraightLining(responses, questionOrder, settings) {
+  const answered = responses.filter(r => r !== null);
+  const counts = {};
+  answered.forEach(value => {
+    counts[value] = (counts[value] || 0) + 1;
+  });
+
+  const [dominantValue, dominantCount] = Object.entries(counts)
+    .sort((a, b) => b[1] - a[1])[0] || [null, 0];
+  const dominantShare = answered.length > 0 ? dominantCount / answered.length : 0;
+
+  // Longest run of identical answers in the order the participant saw them
+  const displayed = (questionOrder || responses.map((_, i) => i)).map(index => responses[index]);
+  let longestRun = 0;
+  let currentRun = 0;
+  displayed.forEach((value, i) => {
+    currentRun = value !== null && value === displayed[i - 1] ? currentRun + 1 : (value !== null ? 1 : 0);
+    longestRun = Math.max(longestRun, currentRun);
+  });
+
+  const detected = dominantShare >= settings.straightLineShare || longestRun >= settings.straightLineRun;
+
+  return {
+    detected,
+    dominantValue: dominantValue === null ? null : parseInt(dominantValue),
+    dominantShare: round(dominantShare),
+    longestRun,
+    caveat: detected
+      ? `Most answers were the same value (${dominantValue}), which may reflect disengagement rather than the team's reality.`
+      : null
+  };
+}
+
+function detectExtremeResponding(responses, settings) {
+  const answered = responses.filter(r => r !== null);
+  const extremeCount = answered.filter(value => value === 1 || value === 5).length;
+  const extremeShare = answered.length > 0 ? extremeCount / answered.length : 0;
+  const detected = extremeShare >= settings.extremeShare;
+
+  return {
+    detected,
+    extremeShare: round(extremeShare),
+    caveat: detected
+      ? 'Answers were almost exclusively at the ends of the scale, so differences between flags may be exaggerated.'
+      : null
+  };
+}
+
+// Regular and reverse-scored items in one flag measure the same thing once the
+// reverse items are flipped; a wide gap means the participant contradicted
+// themselves (e.g. "Almost Always" to both a problem and its opposite)
+function detectInconsistency(responses, instrument, settings) {
+  const flags = [];
+
+  Object.entries(instrument.redFlags).forEach(([flagName, flagInfo]) => {
+    const regular = [];
+    const reverse = [];
+
+    flagInfo.questionIndices.forEach(index => {
+      const response = responses[index];
+      if (response === null) return;
+
+      if (instrument.questions[index].reverseScored) {
+        reverse.push(6 - response);
+      } else {
+        regular.push(response);
+      }
+    });
+
+    if (regular.length === 0 || reverse.length === 0) return;
+
+    const gap = Math.abs(mean(regular) - mean(reverse));
+    if (gap >= settings.inconsistencyGap) {
+      flags.push({
+        name: flagName,
+        regularMean: round(mean(regular)),
+        reverseAdjustedMean: round(mean(reverse)),
+        gap: round(gap)
+      });
+    }
+  });
+
+  const detected = flags.length >= settings.inconsistentFlags;
+
+  return {
+    detected,
+    flags,
+    caveat: detected
+      ? `Answers contradicted each other within ${flags.length} trust areas, so those scores should be read as tentative.`
+      : null
+  };
+}
+
+function detectSpeeding(responses, timings, settings) {
+  const answered = responses.filter(r => r !== null).length;
+  const startedAt = Date.parse(timings?.startedAt);
+  const completedAt = Date.parse(timings?.completedAt);
+
+  if (Number.isNaN(startedAt) || Number.isNaN(completedAt) || completedAt < startedAt || answered === 0) {
+    return {
+      detected: false,
+      available: false,
+      caveat: null
+    };
+  }
+
+  const durationSeconds = Math.round((completedAt - startedAt) / 1000);
+  const secondsPerItem = durationSeconds / answered;
+
+  const detected = secondsPerItem < settings.minSecondsPerItem;
+
+  return {
+    detected,
+    available: true,
+    durationSeconds,
+    secondsPerItem: round(secondsPerItem),
+    caveat: detected
+      ? `The assessment was completed in ${durationSeconds} seconds, faster than the questions can be read thoughtfully.`
+      : null
+  };
+}
+
+// =============================================================================
+// UTILITY FUNCTIONS
+// =============================================================================
+
+function mean(values) {
+  return values.reduce((sum, value) => sum + value, 0) / values.length;
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+module.exports = {
+  analyzeResponseQuality
+};
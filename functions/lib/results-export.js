@@ -0,0 +1,177 @@
+// Trust Foundation Check - Results Export
+// Flattens scored submissions into one spreadsheet row per participant:
+// every red flag index with its severity label and top-3 rank, every
+// foundation index with its level, the pattern code and combination key, and
+// the trust landscape metrics. Item-level columns (Q1..Q45, the answers as
+// given, before reverse-scoring) are added on request for research use.
+//
+// Labels use the scoring profile stored with each report, so a row reads the
+// same as the report the participant received. Item columns follow the
+// current instrument; rows taken on the v6 pilot fill them through each
+// item's v5ItemId and leave the items it doesn't ask blank.
+
+const { getInstrument, resolveInstrument, CURRENT_VERSION } = require('./instruments');
+const { loadScoringProfile, bandForScore } = require('./scoring-profile');
+const { createXlsxWorkbook } = require('./xlsx-writer');
+
+const INSTRUMENT = getInstrument(CURRENT_VERSION);
+const DEFAULT_PROFILE = loadScoringProfile();
+
+// Spreadsheets treat text starting with these as a formula
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+// =============================================================================
+// COLUMNS
+// =============================================================================
+
+// [header, (payload, record, profile) => value]
+function buildColumns(options = {}) {
+  const columns = [
+    ['Submission ID', (payload, record) => record.id],
+    ['Received at', (payload, record) => record.receivedAt],
+    ['Completed at', (payload, record) => record.completedAt || null],
+    ['Name', payload => payload.participant.name],
+    ['Email', payload => payload.participant.email],
+    ['Company', payload => payload.participant.company],
+    ['Industry', payload => payload.participant.industry],
+    ['Team size', payload => payload.participant.teamSize],
+    ['Team code', payload => payload.participant.teamCode],
+    ['Respondent role', payload => payload.participant.respondentRole],
+    ['Instrument version', payload => payload.participant.assessmentVersion],
+    ['Scoring profile', (payload, record, profile) => `${profile.name} (${profile.version || 'unversioned'})`]
+  ];
+
+  Object.keys(INSTRUMENT.redFlags).forEach(flag => {
+    columns.push(
+      [flag, payload => payload.trustChallenges.allScores[flag]],
+      [`${flag} - severity`, (payload, record, profile) => labelScore(payload.trustChallenges.allScores[flag], profile.severityBands)],
+      [`${flag} - top-3 rank`, payload => topRank(payload, flag)]
+    );
+  });
+
+  Object.keys(INSTRUMENT.trustFoundations).forEach(foundation => {
+    columns.push(
+      [foundation, payload => payload.trustStrengths.allScores[foundation]],
+      [`${foundation} - level`, (payload, record, profile) => labelScore(payload.trustStrengths.allScores[foundation], profile.strengthBands)]
+    );
+  });
+
+  [1, 2, 3].forEach(rank => {
+    columns.push([`Top ${rank}`, payload => payload.trustChallenges.top3[rank - 1]?.name]);
+  });
+
+  columns.push(
+    ['Pattern code', payload => payload.reportMetadata.patternCode],
+    ['Combination key', payload => payload.patternAnalysis.combinationKey],
+    ['Density pattern', payload => payload.trustChallenges.densityPattern.type],
+    ['Intensity profile', payload => payload.reportMetadata.intensityProfile],
+    ['Recommendation level', payload => payload.reportMetadata.recommendationLevel],
+    ['Landscape type', payload => payload.patternAnalysis.trustLandscape.landscapeType],
+    ['Landscape balance', payload => payload.patternAnalysis.trustLandscape.balance],
+    ['Challenge average', payload => landscapeMetric(payload, 'challengeAverage')],
+    ['Strength average', payload => landscapeMetric(payload, 'strengthAverage')],
+    ['Balance ratio', payload => landscapeMetric(payload, 'balanceRatio')],
+    ['Critical challenges', payload => landscapeMetric(payload, 'criticalChallenges')],
+    ['Cornerstone strengths', payload => landscapeMetric(payload, 'cornerstoneStrengths')]
+  );
+
+  if (options.items) {
+    INSTRUMENT.questions.forEach(question => {
+      columns.push([`Q${question.id}`, payload => itemResponse(payload, question.id)]);
+    });
+  }
+
+  return columns;
+}
+
+function itemResponse(payload, itemId) {
+  const responses = payload.rawAssessmentData?.responses;
+  if (!responses) return null;
+
+  const resolved = resolveInstrument(payload.participant.assessmentVersion);
+  if (!resolved || resolved.instrument === INSTRUMENT) return responses[itemId - 1];
+
+  const index = resolved.instrument.questions.findIndex(question => question.v5ItemId === itemId);
+  return index === -1 ? null : responses[index];
+}
+
+// Unscored (excluded) scales get no label
+function labelScore(score, bands) {
+  return typeof score === 'number' ? bandForScore(score, bands) : null;
+}
+
+function topRank(payload, flag) {
+  const rank = payload.trustChallenges.top3.findIndex(challenge => challenge.name === flag);
+  return rank === -1 ? null : rank + 1;
+}
+
+function landscapeMetric(payload, metric) {
+  const value = payload.patternAnalysis.trustLandscape.metrics?.[metric];
+  return typeof value === 'number' ? Math.round(value * 100) / 100 : null;
+}
+
+// =============================================================================
+// TABLE
+// =============================================================================
+
+// Records without a scored report are skipped; returns { columns, rows, skipped }
+function buildExportTable(records, options = {}) {
+  const columns = buildColumns(options);
+  const scored = records.filter(record => record.result?.data);
+
+  const rows = scored.map(record => {
+    const payload = record.result.data;
+    const profile = payload.reportMetadata.scoringProfile || DEFAULT_PROFILE;
+    return columns.map(([, value]) => {
+      const cell = value(payload, record, profile);
+      return cell === undefined ? null : cell;
+    });
+  });
+
+  return {
+    columns: columns.map(([header]) => header),
+    rows,
+    skipped: records.length - scored.length
+  };
+}
+
+// =============================================================================
+// FORMATS
+// =============================================================================
+
+// RFC 4180 with CRLF line endings. The byte-order mark makes Excel read UTF-8.
+function toCsv(table) {
+  const lines = [table.columns, ...table.rows].map(row => row.map(formatCsvCell).join(','));
+  return '\uFEFF' + lines.join('\r\n') + '\r\n';
+}
+
+function formatCsvCell(value) {
+  if (value === null || value === undefined) return '';
+
+  let text = String(value);
+  if (typeof value === 'string' && FORMULA_PREFIX.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// The item codebook sheet explains the Q columns when they are included
+function toXlsx(table, options = {}) {
+  const sheets = [{ name: 'Results', columns: table.columns, rows: table.rows }];
+
+  if (options.items) {
+    sheets.push({
+      name: 'Items',
+      columns: ['Column', 'Red flag', 'Reverse-scored', 'Question'],
+      rows: INSTRUMENT.questions.map(question => [`Q${question.id}`, question.category, question.reverseScored, question.text])
+    });
+  }
+
+  return createXlsxWorkbook(sheets);
+}
+
+module.exports = {
+  buildExportTable,
+  toCsv,
+  toXlsx
+};
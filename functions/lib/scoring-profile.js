@@ -0,0 +1,227 @@
+// Trust Foundation Check - Scoring Profile
+// One place for every band and threshold the scorer applies. The profile is
+// read once at startup, validated, and echoed into each report's metadata.
+//
+// Sources, first match wins:
+//   SCORING_PROFILE       inline JSON
+//   SCORING_PROFILE_PATH  path to a JSON file
+//   config/scoring-profile.json (bundled default)
+
+const fs = require('fs');
+
+const { listSupportedVersions, getInstrument } = require('./instruments');
+
+const DEFAULT_PROFILE = require('../../config/scoring-profile.json');
+
+// Band labels are part of the report vocabulary; a profile only moves the
+// cut-offs. Listed highest band first.
+const SEVERITY_LABELS = ['Critical Pressure Points', 'Active Friction', 'Moderate Tension', 'Background Static'];
+const STRENGTH_LABELS = ['Cornerstone', 'Solid', 'Emerging', 'Fragile'];
+
+// =============================================================================
+// LOADING
+// =============================================================================
+
+function loadScoringProfile(env = process.env) {
+  let profile = DEFAULT_PROFILE;
+  let source = 'config/scoring-profile.json';
+
+  if (env.SCORING_PROFILE) {
+    profile = parseProfile(env.SCORING_PROFILE, 'SCORING_PROFILE');
+    source = 'SCORING_PROFILE';
+  } else if (env.SCORING_PROFILE_PATH) {
+    let contents;
+    try {
+      contents = fs.readFileSync(env.SCORING_PROFILE_PATH, 'utf8');
+    } catch (error) {
+      throw new Error(`Scoring profile could not be read from ${env.SCORING_PROFILE_PATH}: ${error.message}`);
+    }
+    profile = parseProfile(contents, env.SCORING_PROFILE_PATH);
+    source = env.SCORING_PROFILE_PATH;
+  }
+
+  // Profiles written before response-quality and timing thresholds, team
+  // mode, progress tracking and organization rollups existed pick up the
+  // default settings for them
+  profile = {
+    responseQuality: DEFAULT_PROFILE.responseQuality,
+    timingAnalytics: DEFAULT_PROFILE.timingAnalytics,
+    teamAggregation: DEFAULT_PROFILE.teamAggregation,
+    perceptionGap: DEFAULT_PROFILE.perceptionGap,
+    progress: DEFAULT_PROFILE.progress,
+    organizationRollup: DEFAULT_PROFILE.organizationRollup,
+    ...profile
+  };
+
+  const problems = validateScoringProfile(profile);
+  if (problems.length > 0) {
+    throw new Error(`Invalid scoring profile (${source}): ${problems.join('; ')}`);
+  }
+
+  return Object.freeze({ ...profile, source });
+}
+
+function parseProfile(contents, source) {
+  try {
+    return JSON.parse(contents);
+  } catch (error) {
+    throw new Error(`Scoring profile in ${source} is not valid JSON`);
+  }
+}
+
+// =============================================================================
+// VALIDATION
+// =============================================================================
+
+function validateScoringProfile(profile) {
+  const problems = [];
+
+  if (!profile || typeof profile !== 'object') {
+    return ['profile must be an object'];
+  }
+  if (typeof profile.name !== 'string' || !profile.name) {
+    problems.push('name is required');
+  }
+
+  validateBands(profile.severityBands, SEVERITY_LABELS, 'severityBands', problems);
+  validateBands(profile.strengthBands, STRENGTH_LABELS, 'strengthBands', problems);
+
+  const tension = profile.tension || {};
+  if (!isScore(tension.high) || !isScore(tension.medium) || tension.high <= tension.medium) {
+    problems.push('tension.high and tension.medium must be 0-100 with high above medium');
+  }
+
+  if (!isScore(profile.relationshipInsight?.margin)) {
+    problems.push('relationshipInsight.margin must be 0-100');
+  }
+
+  const compensation = profile.compensation || {};
+  if (!isScore(compensation.strengthAbove) || !isScore(compensation.challengeAbove)) {
+    problems.push('compensation.strengthAbove and compensation.challengeAbove must be 0-100');
+  }
+
+  const minAnswered = profile.missingData?.minAnsweredPerFlag;
+  const shortestScale = shortestScaleLength();
+  if (!Number.isInteger(minAnswered) || minAnswered < 1) {
+    problems.push('missingData.minAnsweredPerFlag must be a positive whole number');
+  } else if (minAnswered > shortestScale) {
+    // Otherwise no flag on the shortest form could ever be scored
+    problems.push(`missingData.minAnsweredPerFlag must be at most ${shortestScale}, the item count of the shortest scale on a registered instrument`);
+  }
+
+  const quality = profile.responseQuality || {};
+  ['straightLineShare', 'extremeShare'].forEach(key => {
+    if (typeof quality[key] !== 'number' || quality[key] <= 0 || quality[key] > 1) {
+      problems.push(`responseQuality.${key} must be a share above 0 and at most 1`);
+    }
+  });
+  ['straightLineRun', 'inconsistentFlags'].forEach(key => {
+    if (!Number.isInteger(quality[key]) || quality[key] < 1) {
+      problems.push(`responseQuality.${key} must be a positive whole number`);
+    }
+  });
+  // Answers run 1-5, so regular and reverse means can differ by at most 4 points
+  if (typeof quality.inconsistencyGap !== 'number' || quality.inconsistencyGap <= 0 || quality.inconsistencyGap > 4) {
+    problems.push('responseQuality.inconsistencyGap must be above 0 and at most 4 scale points');
+  }
+  if (typeof quality.minSecondsPerItem !== 'number' || quality.minSecondsPerItem < 0) {
+    problems.push('responseQuality.minSecondsPerItem must be a number of seconds, 0 or more');
+  }
+
+  // Both are multiples of the participant's median item time
+  const timing = profile.timingAnalytics || {};
+  ['hotspotRelativeDwell', 'slowItemMultiple'].forEach(key => {
+    if (typeof timing[key] !== 'number' || timing[key] <= 1) {
+      problems.push(`timingAnalytics.${key} must be a multiple above 1`);
+    }
+  });
+  if (!Number.isInteger(timing.hotspotChanges) || timing.hotspotChanges < 1) {
+    problems.push('timingAnalytics.hotspotChanges must be a positive whole number');
+  }
+
+  const team = profile.teamAggregation || {};
+  if (!Number.isInteger(team.minRespondents) || team.minRespondents < 2) {
+    problems.push('teamAggregation.minRespondents must be a whole number of at least 2');
+  }
+  const agreementSd = team.agreementSd || {};
+  if (!isScore(agreementSd.high) || !isScore(agreementSd.moderate) || agreementSd.high >= agreementSd.moderate) {
+    problems.push('teamAggregation.agreementSd.high and .moderate must be 0-100 with high below moderate');
+  }
+
+  if (!isScore(profile.perceptionGap?.threshold) || profile.perceptionGap.threshold === 0) {
+    problems.push('perceptionGap.threshold must be above 0 and at most 100');
+  }
+
+  if (!isScore(profile.progress?.meaningfulChange)) {
+    problems.push('progress.meaningfulChange must be 0-100');
+  }
+
+  const minLeaders = profile.organizationRollup?.minLeaders;
+  if (!Number.isInteger(minLeaders) || minLeaders < 2) {
+    problems.push('organizationRollup.minLeaders must be a whole number of at least 2');
+  }
+
+  return problems;
+}
+
+// Fewest items in any red flag (and so foundation) across registered versions
+function shortestScaleLength() {
+  const instruments = listSupportedVersions().map(getInstrument).filter(Boolean);
+  return Math.min(...instruments.flatMap(instrument =>
+    Object.values(instrument.redFlags).map(flagInfo => flagInfo.questionIndices.length)));
+}
+
+// Every label present, cut-offs strictly descending, lowest band starting at 0
+function validateBands(bands, labels, field, problems) {
+  if (!bands || typeof bands !== 'object') {
+    problems.push(`${field} is required`);
+    return;
+  }
+
+  labels.forEach((label, i) => {
+    const min = bands[label];
+    if (!isScore(min)) {
+      problems.push(`${field}["${label}"] must be a number from 0 to 100`);
+      return;
+    }
+    const higher = bands[labels[i - 1]];
+    if (i > 0 && isScore(higher) && min >= higher) {
+      problems.push(`${field}["${label}"] must be below ${field}["${labels[i - 1]}"]`);
+    }
+  });
+
+  Object.keys(bands).forEach(label => {
+    if (!labels.includes(label)) {
+      problems.push(`${field} has unknown band "${label}"`);
+    }
+  });
+
+  if (bands[labels[labels.length - 1]] !== 0) {
+    problems.push(`${field}["${labels[labels.length - 1]}"] must start at 0`);
+  }
+}
+
+function isScore(value) {
+  return typeof value === 'number' && value >= 0 && value <= 100;
+}
+
+// =============================================================================
+// BAND LOOKUP
+// =============================================================================
+
+// Highest band whose cut-off the score reaches
+function bandForScore(score, bands) {
+  const label = Object.entries(bands)
+    .sort((a, b) => b[1] - a[1])
+    .find(([, min]) => score >= min);
+
+  return label ? label[0] : null;
+}
+
+module.exports = {
+  SEVERITY_LABELS,
+  STRENGTH_LABELS,
+  loadScoringProfile,
+  validateScoringProfile,
+  bandForScore
+};
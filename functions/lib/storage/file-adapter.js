@@ -0,0 +1,77 @@
+// Trust Foundation Check - File Storage Adapter
+// One JSON file per submission under <DATA_DIR>/submissions and per team under
+// <DATA_DIR>/teams. Zero setup, fine for local runs and low volume; listing
+// reads every file.
+
+const fs = require('fs/promises');
+const path = require('path');
+
+const { getDataDir, isSharedDataDir } = require('../data-dir');
+
+function createFileAdapter(env = process.env) {
+  const directory = path.join(getDataDir(env), 'submissions');
+  const teamsDirectory = path.join(getDataDir(env), 'teams');
+
+  async function get(id) {
+    return readJson(path.join(directory, `${id}.json`));
+  }
+
+  async function put(record) {
+    await writeJson(directory, record.id, record);
+  }
+
+  async function list(filters = {}) {
+    let names;
+    try {
+      names = (await fs.readdir(directory)).filter(name => name.endsWith('.json'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const records = await Promise.all(names.map(name => get(name.slice(0, -'.json'.length))));
+    const matching = records
+      .filter(record => record && matchesFilters(record, filters))
+      .sort((a, b) => b.receivedAt.localeCompare(a.receivedAt));
+
+    return filters.limit ? matching.slice(0, filters.limit) : matching;
+  }
+
+  async function getTeam(code) {
+    return readJson(path.join(teamsDirectory, `${code}.json`));
+  }
+
+  async function putTeam(team) {
+    await writeJson(teamsDirectory, team.code, team);
+  }
+
+  return { name: 'file', location: directory, shared: isSharedDataDir(env), get, put, list, getTeam, putTeam };
+}
+
+async function readJson(filePath) {
+  try {
+    return JSON.parse(await fs.readFile(filePath, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+}
+
+// Write-then-rename so a status poll never reads a half-written file
+async function writeJson(directory, key, value) {
+  await fs.mkdir(directory, { recursive: true });
+  const filePath = path.join(directory, `${key}.json`);
+  const tempPath = `${filePath}.${process.pid}.tmp`;
+  await fs.writeFile(tempPath, JSON.stringify(value, null, 2));
+  await fs.rename(tempPath, filePath);
+}
+
+function matchesFilters(record, filters) {
+  if (filters.status && record.status !== filters.status) return false;
+  if (filters.email && record.email !== filters.email) return false;
+  if (filters.teamCode && record.teamCode !== filters.teamCode) return false;
+  if (filters.since && record.receivedAt < filters.since) return false;
+  return true;
+}
+
+module.exports = { createFileAdapter };
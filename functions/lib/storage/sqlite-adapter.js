@@ -0,0 +1,128 @@
+// Trust Foundation Check - SQLite Storage Adapter
+// A single database file, indexed by status, email, team and received time
+// so audits and re-scoring runs can query without reading every record.
+// Uses the built-in node:sqlite module (Node 22.5+).
+//
+// Environment:
+//   SUBMISSION_DB_PATH   database file, default <DATA_DIR>/submissions.db
+
+const fs = require('fs');
+const path = require('path');
+
+const { getDataDir, isSharedDataDir } = require('../data-dir');
+
+function createSqliteAdapter(env = process.env) {
+  let DatabaseSync;
+  try {
+    ({ DatabaseSync } = require('node:sqlite'));
+  } catch (error) {
+    throw new Error(`The sqlite submission store needs Node 22.5 or later (running ${process.version})`);
+  }
+
+  const location = env.SUBMISSION_DB_PATH || path.join(getDataDir(env), 'submissions.db');
+  fs.mkdirSync(path.dirname(location), { recursive: true });
+
+  const db = new DatabaseSync(location);
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS submissions (
+      id TEXT PRIMARY KEY,
+      status TEXT NOT NULL,
+      email TEXT,
+      received_at TEXT NOT NULL,
+      updated_at TEXT NOT NULL,
+      record TEXT NOT NULL
+    );
+    CREATE TABLE IF NOT EXISTS teams (
+      code TEXT PRIMARY KEY,
+      created_at TEXT NOT NULL,
+      record TEXT NOT NULL
+    );
+  `);
+
+  // Databases created before team mode lack the team_code column
+  const columns = db.prepare('PRAGMA table_info(submissions)').all().map(column => column.name);
+  if (!columns.includes('team_code')) {
+    db.exec('ALTER TABLE submissions ADD COLUMN team_code TEXT');
+  }
+
+  db.exec(`
+    CREATE INDEX IF NOT EXISTS submissions_status ON submissions (status);
+    CREATE INDEX IF NOT EXISTS submissions_email ON submissions (email);
+    CREATE INDEX IF NOT EXISTS submissions_team_code ON submissions (team_code);
+    CREATE INDEX IF NOT EXISTS submissions_received_at ON submissions (received_at);
+  `);
+
+  const selectOne = db.prepare('SELECT record FROM submissions WHERE id = ?');
+  const upsert = db.prepare(`
+    INSERT INTO submissions (id, status, email, team_code, received_at, updated_at, record)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+    ON CONFLICT (id) DO UPDATE SET
+      status = excluded.status,
+      email = excluded.email,
+      team_code = excluded.team_code,
+      updated_at = excluded.updated_at,
+      record = excluded.record
+  `);
+  const selectTeam = db.prepare('SELECT record FROM teams WHERE code = ?');
+  const upsertTeam = db.prepare(`
+    INSERT INTO teams (code, created_at, record) VALUES (?, ?, ?)
+    ON CONFLICT (code) DO UPDATE SET record = excluded.record
+  `);
+
+  async function get(id) {
+    const row = selectOne.get(id);
+    return row ? JSON.parse(row.record) : null;
+  }
+
+  async function put(record) {
+    upsert.run(record.id, record.status, record.email || null, record.teamCode || null, record.receivedAt, record.updatedAt, JSON.stringify(record));
+  }
+
+  async function list(filters = {}) {
+    const clauses = [];
+    const params = [];
+
+    if (filters.status) {
+      clauses.push('status = ?');
+      params.push(filters.status);
+    }
+    if (filters.email) {
+      clauses.push('email = ?');
+      params.push(filters.email);
+    }
+    if (filters.teamCode) {
+      clauses.push('team_code = ?');
+      params.push(filters.teamCode);
+    }
+    if (filters.since) {
+      clauses.push('received_at >= ?');
+      params.push(filters.since);
+    }
+
+    let sql = 'SELECT record FROM submissions';
+    if (clauses.length > 0) sql += ` WHERE ${clauses.join(' AND ')}`;
+    sql += ' ORDER BY received_at DESC';
+    if (filters.limit) {
+      sql += ' LIMIT ?';
+      params.push(filters.limit);
+    }
+
+    return db.prepare(sql).all(...params).map(row => JSON.parse(row.record));
+  }
+
+  async function getTeam(code) {
+    const row = selectTeam.get(code);
+    return row ? JSON.parse(row.record) : null;
+  }
+
+  async function putTeam(team) {
+    upsertTeam.run(team.code, team.createdAt, JSON.stringify(team));
+  }
+
+  // Shared only when the database path (or its data directory) was set explicitly
+  const shared = !!env.SUBMISSION_DB_PATH || isSharedDataDir(env);
+
+  return { name: 'sqlite', location, shared, get, put, list, getTeam, putTeam };
+}
+
+module.exports = { createSqliteAdapter };
@@ -0,0 +1,124 @@
+// Trust Foundation Check - Submission Filters
+// Query-string filters shared by the admin list and the results export:
+//   ?company=&from=&to=&status=&intensityProfile=&landscapeType=&combinationKey=&limit=&offset=
+// company matches any part of the name and combinationKey the whole key, both
+// case-insensitively; from/to are dates (YYYY-MM-DD) or timestamps, to is
+// inclusive. Problems are reported together as a ValidationError.
+
+const { SUBMISSION_STATUSES } = require('./submission-store');
+const { createValidationError } = require('./validation');
+
+const INTENSITY_PROFILES = ['CRISIS_MODE', 'ACTIVE_TENSIONS', 'EMERGING_CONCERNS', 'EARLY_WARNING'];
+const LANDSCAPE_TYPES = ['Thriving', 'Healthy', 'Developing', 'Struggling'];
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 500;
+
+const DATE_ONLY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// =============================================================================
+// FILTERS
+// =============================================================================
+
+function parseFilters(params) {
+  const problems = [];
+  const filters = {
+    company: params.company ? params.company.trim().toLowerCase() : null,
+    status: params.status || undefined,
+    intensityProfile: params.intensityProfile || null,
+    landscapeType: params.landscapeType || null,
+    combinationKey: params.combinationKey ? params.combinationKey.trim().toLowerCase() : null,
+    from: parseDate(params.from, 'from', false, problems),
+    to: parseDate(params.to, 'to', true, problems),
+    limit: DEFAULT_PAGE_SIZE,
+    offset: 0
+  };
+
+  if (filters.status && !SUBMISSION_STATUSES.includes(filters.status)) {
+    problems.push({ field: 'status', code: 'invalid_value', message: `status must be one of: ${SUBMISSION_STATUSES.join(', ')}` });
+  }
+  if (filters.intensityProfile && !INTENSITY_PROFILES.includes(filters.intensityProfile)) {
+    problems.push({ field: 'intensityProfile', code: 'invalid_value', message: `intensityProfile must be one of: ${INTENSITY_PROFILES.join(', ')}` });
+  }
+  if (filters.landscapeType && !LANDSCAPE_TYPES.includes(filters.landscapeType)) {
+    problems.push({ field: 'landscapeType', code: 'invalid_value', message: `landscapeType must be one of: ${LANDSCAPE_TYPES.join(', ')}` });
+  }
+
+  if (params.limit !== undefined) {
+    filters.limit = parseInt(params.limit, 10);
+    if (!(filters.limit >= 1 && filters.limit <= MAX_PAGE_SIZE)) {
+      problems.push({ field: 'limit', code: 'out_of_range', message: `limit must be between 1 and ${MAX_PAGE_SIZE}` });
+    }
+  }
+  if (params.offset !== undefined) {
+    filters.offset = parseInt(params.offset, 10);
+    if (!(filters.offset >= 0)) {
+      problems.push({ field: 'offset', code: 'out_of_range', message: 'offset must be 0 or more' });
+    }
+  }
+
+  if (problems.length > 0) {
+    throw createValidationError(problems);
+  }
+  return filters;
+}
+
+// A bare date as the upper bound covers that whole day
+function parseDate(value, field, endOfDay, problems) {
+  if (!value) return undefined;
+
+  const timestamp = Date.parse(value);
+  if (Number.isNaN(timestamp)) {
+    problems.push({ field, code: 'invalid_format', message: `${field} must be a date (YYYY-MM-DD) or ISO timestamp` });
+    return undefined;
+  }
+
+  const date = new Date(timestamp);
+  if (endOfDay && DATE_ONLY_PATTERN.test(value)) {
+    date.setUTCHours(23, 59, 59, 999);
+  }
+  return date.toISOString();
+}
+
+function matchesFilters(record, filters) {
+  const summary = summarizeRecord(record);
+
+  if (filters.to && record.receivedAt > filters.to) return false;
+  if (filters.company && !(summary.company || '').toLowerCase().includes(filters.company)) return false;
+  if (filters.intensityProfile && summary.intensityProfile !== filters.intensityProfile) return false;
+  if (filters.landscapeType && summary.landscapeType !== filters.landscapeType) return false;
+  if (filters.combinationKey && (summary.combinationKey || '').toLowerCase() !== filters.combinationKey) return false;
+  return true;
+}
+
+// What the list shows per submission; unscored ones only have what was submitted
+function summarizeRecord(record) {
+  const payload = record.result?.data;
+  const participant = payload?.participant || record.submission?.participant || {};
+
+  return {
+    id: record.id,
+    status: record.status,
+    receivedAt: record.receivedAt,
+    completedAt: record.completedAt || null,
+    name: participant.name || record.submission?.name || record.submission?.['full-name'] || null,
+    email: record.email,
+    company: participant.company || record.submission?.company || null,
+    teamCode: record.teamCode,
+    respondentRole: record.respondentRole,
+    intensityProfile: payload?.reportMetadata.intensityProfile || null,
+    landscapeType: payload?.patternAnalysis.trustLandscape.landscapeType || null,
+    combinationKey: payload?.patternAnalysis.combinationKey || null,
+    top3: payload ? payload.trustChallenges.top3.map(challenge => challenge.name) : [],
+    delivery: record.result?.delivery || null,
+    error: record.error?.message || null
+  };
+}
+
+module.exports = {
+  INTENSITY_PROFILES,
+  LANDSCAPE_TYPES,
+  parseFilters,
+  matchesFilters,
+  summarizeRecord
+};
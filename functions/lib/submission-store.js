@@ -0,0 +1,132 @@
+// Trust Foundation Check - Submission Store
+// Every accepted submission is kept with a stable ID: the raw request, the
+// parsed assessment data, the full VectorShift payload and its processing
+// state, so results can be re-read, re-scored and audited later.
+//
+// Storage is pluggable. Adapters implement async get(id), put(record),
+// list({ status, email, teamCode, since, limit }) (newest first), and
+// getTeam(code) / putTeam(team) for team mode; add a hosted store by
+// registering another adapter factory. Adapters also report `shared`: true
+// when every function instance reads the same data. Background scoring, the
+// status endpoint and report links all depend on it, so an adapter that can't
+// promise it leaves the scoring function to score inline.
+//
+// Environment:
+//   SUBMISSION_STORE   adapter name: file (default) or sqlite
+//
+// Record lifecycle: queued -> processing -> completed | failed
+
+const crypto = require('crypto');
+
+const { createFileAdapter } = require('./storage/file-adapter');
+const { createSqliteAdapter } = require('./storage/sqlite-adapter');
+
+const SUBMISSION_STATUSES = ['queued', 'processing', 'completed', 'failed'];
+
+// IDs come back in from URLs, so anything that isn't one of ours is refused
+// before it reaches an adapter
+const SUBMISSION_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+const ADAPTERS = {
+  file: createFileAdapter,
+  sqlite: createSqliteAdapter
+};
+
+let activeAdapter = null;
+
+// =============================================================================
+// ADAPTERS
+// =============================================================================
+
+function registerStorageAdapter(name, createAdapter) {
+  ADAPTERS[name] = createAdapter;
+}
+
+// The configured adapter, created on first use; logger ({ log }) takes the
+// announcement of which store is in use
+function getStorageAdapter(env = process.env, logger = console) {
+  if (!activeAdapter) {
+    const name = env.SUBMISSION_STORE || 'file';
+    if (!ADAPTERS[name]) {
+      throw new Error(`Unknown SUBMISSION_STORE "${name}" (available: ${Object.keys(ADAPTERS).join(', ')})`);
+    }
+    activeAdapter = ADAPTERS[name](env);
+    logger.log(`🗄️ Submission store: ${activeAdapter.name} (${activeAdapter.location}${activeAdapter.shared ? ', shared' : ', this instance only'})`);
+  }
+  return activeAdapter;
+}
+
+// Whether a record written here can be read by any other function instance
+function isSharedStore() {
+  return getStorageAdapter().shared === true;
+}
+
+// =============================================================================
+// RECORDS
+// =============================================================================
+
+function isSubmissionId(id) {
+  return typeof id === 'string' && SUBMISSION_ID_PATTERN.test(id);
+}
+
+function normalizeEmail(email) {
+  return typeof email === 'string' ? email.trim().toLowerCase() : null;
+}
+
+// options: { teamCode, respondentRole } for submissions taken in team mode
+async function createSubmission(submission, options = {}) {
+  const now = new Date().toISOString();
+  const record = {
+    id: crypto.randomUUID(),
+    status: 'queued',
+    email: normalizeEmail(submission.participant?.email ?? submission.email),
+    teamCode: options.teamCode || null,
+    respondentRole: options.respondentRole || 'leader',
+    receivedAt: now,
+    updatedAt: now,
+    attempts: 0,
+    submission,
+    assessmentData: null,
+    result: null,
+    error: null
+  };
+
+  await getStorageAdapter().put(record);
+  return record;
+}
+
+async function getSubmission(id) {
+  if (!isSubmissionId(id)) return null;
+  return getStorageAdapter().get(id);
+}
+
+async function updateSubmission(id, changes) {
+  const record = await getSubmission(id);
+  if (!record) {
+    throw new Error(`Submission ${id} not found`);
+  }
+  if (changes.status && !SUBMISSION_STATUSES.includes(changes.status)) {
+    throw new Error(`Unknown submission status: ${changes.status}`);
+  }
+
+  const updated = { ...record, ...changes, id, updatedAt: new Date().toISOString() };
+  await getStorageAdapter().put(updated);
+  return updated;
+}
+
+async function listSubmissions(filters = {}) {
+  return getStorageAdapter().list({ ...filters, email: normalizeEmail(filters.email) || undefined });
+}
+
+module.exports = {
+  SUBMISSION_STATUSES,
+  registerStorageAdapter,
+  getStorageAdapter,
+  isSharedStore,
+  isSubmissionId,
+  normalizeEmail,
+  createSubmission,
+  getSubmission,
+  updateSubmission,
+  listSubmissions
+};
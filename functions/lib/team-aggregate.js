@@ -0,0 +1,117 @@
+// Trust Foundation Check - Team Aggregation
+// Combines individually scored team members into team-level flag and
+// foundation scores. Each scale reports the team mean alongside how much the
+// team agrees: a mean of 50 from everyone answering 50 reads very differently
+// from half the team at 20 and half at 80.
+//
+// Agreement is based on the standard deviation of members' 0-100 indexes.
+// The index is 1 - sd/50 (50 being the largest spread possible on the scale),
+// and the level uses the profile's teamAggregation.agreementSd cut-offs.
+//
+// Nothing that points at one member's score leaves here: no minimum, maximum
+// or median, since with a team of three those are individual answers.
+
+const { bandForScore } = require('./scoring-profile');
+
+// Largest possible standard deviation on a 0-100 scale (half at each end)
+const MAX_SD = 50;
+
+// respondents: [{ challengeScores, strengthScores }] - each the allScores map
+// from scoreTrustChallenges / scoreTrustStrengths for one member
+function aggregateTeamScores(respondents, profile) {
+  const settings = profile.teamAggregation;
+
+  if (respondents.length < settings.minRespondents) {
+    return {
+      available: false,
+      respondentCount: respondents.length,
+      minRespondents: settings.minRespondents,
+      reason: `Team results need at least ${settings.minRespondents} member responses (${respondents.length} so far)`
+    };
+  }
+
+  const redFlags = aggregateScales(respondents.map(r => r.challengeScores), profile.severityBands, settings);
+  const foundations = aggregateScales(respondents.map(r => r.strengthScores), profile.strengthBands, settings);
+
+  return {
+    available: true,
+    respondentCount: respondents.length,
+    minRespondents: settings.minRespondents,
+    redFlags,
+    foundations,
+    highestFlags: rankScales(redFlags, 'desc').slice(0, 3),
+    strongestFoundations: rankScales(foundations, 'desc').slice(0, 3),
+    lowestAgreement: rankScales({ ...redFlags, ...foundations }, 'agreement').slice(0, 3),
+    overallAgreement: describeOverallAgreement({ ...redFlags, ...foundations }, settings)
+  };
+}
+
+function aggregateScales(scoreMaps, bands, settings) {
+  const results = {};
+  const scales = Object.keys(scoreMaps[0] || {});
+
+  scales.forEach(scale => {
+    // Members whose answers left this scale unscored are left out of it
+    const scores = scoreMaps.map(map => map[scale]).filter(score => typeof score === 'number');
+    results[scale] = summarizeScores(scores, bands, settings);
+  });
+
+  return results;
+}
+
+function summarizeScores(scores, bands, settings) {
+  if (scores.length === 0) {
+    return { n: 0, mean: null, sd: null, band: null, agreement: null, agreementLevel: null };
+  }
+
+  const mean = scores.reduce((sum, score) => sum + score, 0) / scores.length;
+  const sd = scores.length > 1
+    ? Math.sqrt(scores.reduce((sum, score) => sum + Math.pow(score - mean, 2), 0) / (scores.length - 1))
+    : null;
+
+  return {
+    n: scores.length,
+    mean: Math.round(mean),
+    sd: sd === null ? null : Math.round(sd * 10) / 10,
+    band: bandForScore(Math.round(mean), bands),
+    agreement: sd === null ? null : Math.round(Math.max(0, 1 - sd / MAX_SD) * 100) / 100,
+    agreementLevel: describeAgreement(sd, settings)
+  };
+}
+
+function describeAgreement(sd, settings) {
+  if (sd === null) return null;
+  if (sd <= settings.agreementSd.high) return 'high';
+  if (sd <= settings.agreementSd.moderate) return 'moderate';
+  return 'low';
+}
+
+// Team-wide agreement is the median spread across all scored scales
+function describeOverallAgreement(scales, settings) {
+  const spreads = Object.values(scales).map(stats => stats.sd).filter(sd => sd !== null);
+  if (spreads.length === 0) return null;
+
+  const medianSd = median(spreads);
+  return {
+    medianSd: Math.round(medianSd * 10) / 10,
+    level: describeAgreement(medianSd, settings)
+  };
+}
+
+// 'desc' ranks by team mean; 'agreement' ranks the most divided scales first
+function rankScales(scales, order) {
+  return Object.entries(scales)
+    .filter(([, stats]) => order === 'agreement' ? stats.agreement !== null : stats.mean !== null)
+    .sort((a, b) => order === 'agreement' ? a[1].agreement - b[1].agreement : b[1].mean - a[1].mean)
+    .map(([name, stats]) => ({ name, ...stats }));
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 0 ? (sorted[middle - 1] + sorted[middle]) / 2 : sorted[middle];
+}
+
+module.exports = {
+  aggregateTeamScores
+};
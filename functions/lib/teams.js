@@ -0,0 +1,112 @@
+// Trust Foundation Check - Teams
+// Team mode lets a leader invite their team to answer the same items. The
+// leader creates a team and gets two things back: a short team code to share
+// with members, and a private leader key that unlocks the team report.
+// Only a hash of the key is stored.
+
+const crypto = require('crypto');
+
+const { getStorageAdapter } = require('./submission-store');
+
+// No 0/O or 1/I, so codes survive being read aloud or copied by hand
+const TEAM_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const TEAM_CODE_LENGTH = 8;
+const TEAM_CODE_PATTERN = new RegExp(`^[${TEAM_CODE_ALPHABET}]{${TEAM_CODE_LENGTH}}$`);
+
+const RESPONDENT_ROLES = ['leader', 'member'];
+
+// Accepts codes typed with spaces, dashes or lower case
+function normalizeTeamCode(code) {
+  return typeof code === 'string' ? code.replace(/[\s-]/g, '').toUpperCase() : null;
+}
+
+function isTeamCode(code) {
+  return typeof code === 'string' && TEAM_CODE_PATTERN.test(code);
+}
+
+function generateTeamCode() {
+  const bytes = crypto.randomBytes(TEAM_CODE_LENGTH);
+  return Array.from(bytes, byte => TEAM_CODE_ALPHABET[byte % TEAM_CODE_ALPHABET.length]).join('');
+}
+
+function hashLeaderKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+// =============================================================================
+// TEAM RECORDS
+// =============================================================================
+
+// leader: { name, email, company }. Returns the stored team and the leader
+// key, which is only ever available here.
+async function createTeam({ name, leader, leaderSubmissionId = null }) {
+  const adapter = getStorageAdapter();
+
+  let code = generateTeamCode();
+  while (await adapter.getTeam(code)) {
+    code = generateTeamCode();
+  }
+
+  const leaderKey = crypto.randomBytes(24).toString('base64url');
+  const team = {
+    code,
+    name,
+    leader: {
+      name: leader.name.trim(),
+      email: leader.email.trim().toLowerCase(),
+      company: leader.company.trim()
+    },
+    leaderSubmissionId,
+    leaderKeyHash: hashLeaderKey(leaderKey),
+    createdAt: new Date().toISOString()
+  };
+
+  await adapter.putTeam(team);
+  return { team, leaderKey };
+}
+
+async function getTeam(code) {
+  const normalized = normalizeTeamCode(code);
+  if (!isTeamCode(normalized)) return null;
+  return getStorageAdapter().getTeam(normalized);
+}
+
+async function updateTeam(code, changes) {
+  const team = await getTeam(code);
+  if (!team) {
+    throw new Error(`Team ${code} not found`);
+  }
+
+  const updated = { ...team, ...changes, code: team.code };
+  await getStorageAdapter().putTeam(updated);
+  return updated;
+}
+
+function verifyLeaderKey(team, key) {
+  if (typeof key !== 'string' || !key) return false;
+  const expected = Buffer.from(team.leaderKeyHash, 'hex');
+  const actual = Buffer.from(hashLeaderKey(key), 'hex');
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+// What a member sees before taking the assessment
+function describeTeam(team) {
+  return {
+    teamCode: team.code,
+    teamName: team.name,
+    leaderName: team.leader.name,
+    company: team.leader.company,
+    createdAt: team.createdAt
+  };
+}
+
+module.exports = {
+  RESPONDENT_ROLES,
+  normalizeTeamCode,
+  isTeamCode,
+  createTeam,
+  getTeam,
+  updateTeam,
+  verifyLeaderKey,
+  describeTeam
+};
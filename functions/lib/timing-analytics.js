@@ -0,0 +1,142 @@
+// Trust Foundation Check - Item Timing Analytics
+// Summarizes the per-question dwell time, answer changes and back-navigation
+// captured by the quiz into hesitation hotspots per red flag, so facilitators
+// can see which trust topics the leader lingered over or second-guessed.
+//
+// Thresholds come from the scoring profile's timingAnalytics section:
+//   hotspotRelativeDwell  a flag is a hotspot when its items took this much
+//                         longer than the participant's median item
+//   hotspotChanges        or were changed/revisited this many times in all
+//   slowItemMultiple      items longer than this multiple of the median dwell
+//                         are listed individually
+
+// =============================================================================
+// ANALYSIS
+// =============================================================================
+
+function analyzeItemTimings(assessmentData, instrument, profile) {
+  const { itemTimings, timings } = assessmentData;
+  const settings = profile.timingAnalytics;
+  const recorded = (itemTimings || []).filter(timing => timing && typeof timing.dwellMs === 'number');
+
+  if (recorded.length === 0) {
+    return {
+      available: false,
+      flags: {},
+      hotspots: [],
+      slowItems: []
+    };
+  }
+
+  const dwellValues = recorded.map(timing => timing.dwellMs);
+  const medianDwellMs = median(dwellValues);
+  const totalDwellMs = dwellValues.reduce((sum, value) => sum + value, 0);
+
+  const flags = {};
+  Object.entries(instrument.redFlags).forEach(([flagName, flagInfo]) => {
+    flags[flagName] = summarizeFlagTiming(flagInfo.questionIndices, itemTimings, medianDwellMs);
+  });
+
+  // Hotspots: flags the participant lingered over or kept second-guessing
+  const hotspots = Object.entries(flags)
+    .filter(([, summary]) =>
+      summary.relativeDwell >= settings.hotspotRelativeDwell ||
+      summary.answerChanges + summary.revisits >= settings.hotspotChanges
+    )
+    .map(([name, summary]) => ({
+      name,
+      category: instrument.redFlags[name].category,
+      relativeDwell: summary.relativeDwell,
+      answerChanges: summary.answerChanges,
+      revisits: summary.revisits,
+      reason: describeHesitation(summary, settings)
+    }))
+    .sort((a, b) => b.relativeDwell - a.relativeDwell);
+
+  const slowItems = [];
+  (itemTimings || []).forEach((timing, index) => {
+    if (timing && medianDwellMs > 0 && timing.dwellMs >= medianDwellMs * settings.slowItemMultiple) {
+      slowItems.push({
+        questionId: instrument.questions[index].id,
+        flag: instrument.questions[index].category,
+        dwellSeconds: toSeconds(timing.dwellMs),
+        answerChanges: timing.answerChanges || 0
+      });
+    }
+  });
+  slowItems.sort((a, b) => b.dwellSeconds - a.dwellSeconds);
+
+  return {
+    available: true,
+    itemsTimed: recorded.length,
+    totalDwellSeconds: toSeconds(totalDwellMs),
+    medianDwellSeconds: toSeconds(medianDwellMs),
+    backNavigations: timings?.backNavigations ?? sumField(recorded, 'revisits'),
+    totalAnswerChanges: sumField(recorded, 'answerChanges'),
+    flags,
+    hotspots,
+    slowItems
+  };
+}
+
+function summarizeFlagTiming(questionIndices, itemTimings, medianDwellMs) {
+  const timed = questionIndices
+    .map(index => itemTimings[index])
+    .filter(timing => timing && typeof timing.dwellMs === 'number');
+
+  if (timed.length === 0) {
+    return {
+      itemsTimed: 0,
+      averageDwellSeconds: null,
+      relativeDwell: 0,
+      answerChanges: 0,
+      revisits: 0
+    };
+  }
+
+  const averageDwellMs = timed.reduce((sum, timing) => sum + timing.dwellMs, 0) / timed.length;
+
+  return {
+    itemsTimed: timed.length,
+    averageDwellSeconds: toSeconds(averageDwellMs),
+    relativeDwell: medianDwellMs > 0 ? Math.round((averageDwellMs / medianDwellMs) * 100) / 100 : 0,
+    answerChanges: sumField(timed, 'answerChanges'),
+    revisits: sumField(timed, 'revisits')
+  };
+}
+
+function describeHesitation(summary, settings) {
+  const reasons = [];
+  if (summary.relativeDwell >= settings.hotspotRelativeDwell) {
+    reasons.push(`took ${summary.relativeDwell}x longer than a typical question`);
+  }
+  if (summary.answerChanges > 0) {
+    reasons.push(`${summary.answerChanges} answer change${summary.answerChanges === 1 ? '' : 's'}`);
+  }
+  if (summary.revisits > 0) {
+    reasons.push(`revisited ${summary.revisits} time${summary.revisits === 1 ? '' : 's'}`);
+  }
+  return reasons.join(', ');
+}
+
+// =============================================================================
+// UTILITY FUNCTIONS
+// =============================================================================
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 0 ? (sorted[middle - 1] + sorted[middle]) / 2 : sorted[middle];
+}
+
+function sumField(timings, key) {
+  return timings.reduce((sum, timing) => sum + (timing[key] || 0), 0);
+}
+
+function toSeconds(ms) {
+  return Math.round(ms / 100) / 10;
+}
+
+module.exports = {
+  analyzeItemTimings
+};
@@ -0,0 +1,19 @@
+// Trust Foundation Check - Request Validation Helpers
+// Shared by every function that accepts a request body.
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Validation failures carry a machine-readable list of
+// { field, code, message } problems and are returned as a 400
+function createValidationError(problems) {
+  const error = new Error('Submission failed validation');
+  error.name = 'ValidationError';
+  error.statusCode = 400;
+  error.validationErrors = problems;
+  return error;
+}
+
+module.exports = {
+  EMAIL_PATTERN,
+  createValidationError
+};
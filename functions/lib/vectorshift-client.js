@@ -0,0 +1,229 @@
+// Trust Foundation Check - VectorShift Delivery Client
+// Posts scored payloads to the VectorShift pipeline with a per-attempt timeout,
+// exponential backoff and an idempotency key per submission. Payloads that
+// still fail are written to a local dead-letter store for later replay
+// (see tools/replay-dead-letters.js).
+//
+// Environment:
+//   VECTORSHIFT_ENDPOINT       pipeline URL (delivery is skipped when unset)
+//   VECTORSHIFT_API_KEY        sent as a Bearer token
+//   VECTORSHIFT_TIMEOUT_MS     per-attempt timeout, default 5000
+//   VECTORSHIFT_MAX_ATTEMPTS   attempts before dead-lettering, default 3
+//   VECTORSHIFT_BACKOFF_MS     first retry delay, doubled each retry, default 500
+//   DATA_DIR                   local data root, default <tmpdir>/trust-foundation-check
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const { getDataDir } = require('./data-dir');
+
+const MAX_BACKOFF_MS = 10000;
+
+// Statuses worth retrying; any other 4xx means the payload itself was refused
+const RETRYABLE_STATUSES = [408, 425, 429, 500, 502, 503, 504];
+
+function getDeliveryConfig(env = process.env) {
+  return {
+    endpoint: env.VECTORSHIFT_ENDPOINT || null,
+    apiKey: env.VECTORSHIFT_API_KEY || null,
+    timeoutMs: parseInt(env.VECTORSHIFT_TIMEOUT_MS) || 5000,
+    maxAttempts: parseInt(env.VECTORSHIFT_MAX_ATTEMPTS) || 3,
+    backoffMs: parseInt(env.VECTORSHIFT_BACKOFF_MS) || 500,
+    deadLetterDir: path.join(getDataDir(env), 'dead-letter')
+  };
+}
+
+// The same submission always produces the same key, so a retried request, a
+// re-score or a replayed dead letter can be de-duplicated by the pipeline.
+// Stored submissions are keyed on their ID. A payload with no stored
+// submission falls back to a fingerprint of its answers; the scoring time is
+// left out of it, since it changes on every run.
+function generateIdempotencyKey(payload, submissionId = null) {
+  const { participant, rawAssessmentData } = payload;
+  const fingerprint = submissionId ? JSON.stringify(['submission', submissionId]) : JSON.stringify([
+    (participant.email || '').trim().toLowerCase(),
+    participant.assessmentVersion,
+    rawAssessmentData.responses,
+    rawAssessmentData.questionOrder,
+    rawAssessmentData.timings?.startedAt || null
+  ]);
+
+  return crypto.createHash('sha256').update(fingerprint).digest('hex').slice(0, 32);
+}
+
+// =============================================================================
+// DELIVERY
+// =============================================================================
+
+// options: { submissionId, idempotencyKey, config, deadLetter } - the key is
+// derived from submissionId unless given; deadLetter: false leaves a failed
+// payload for the caller to record
+async function deliverPayload(payload, options = {}) {
+  const config = { ...getDeliveryConfig(), ...options.config };
+  const idempotencyKey = options.idempotencyKey || generateIdempotencyKey(payload, options.submissionId);
+
+  if (!config.endpoint) {
+    console.warn('⚠️ VECTORSHIFT_ENDPOINT is not set - skipping delivery');
+    return { delivered: false, skipped: true, idempotencyKey, attempts: 0 };
+  }
+
+  let lastError = null;
+  let attempts = config.maxAttempts;
+
+  for (let attempt = 1; attempt <= config.maxAttempts; attempt++) {
+    try {
+      const response = await postWithTimeout(config, payload, idempotencyKey);
+
+      if (response.ok) {
+        console.log(`✅ Delivered to VectorShift (attempt ${attempt})`);
+        return { delivered: true, idempotencyKey, attempts: attempt, status: response.status };
+      }
+
+      lastError = `HTTP ${response.status}`;
+      console.warn(`⚠️ VectorShift delivery attempt ${attempt} failed: ${lastError}`);
+
+      if (!RETRYABLE_STATUSES.includes(response.status)) {
+        attempts = attempt;
+        break;
+      }
+
+      if (attempt < config.maxAttempts) {
+        await sleep(retryDelay(config.backoffMs, attempt, response.headers.get('retry-after')));
+      }
+    } catch (error) {
+      lastError = error.name === 'AbortError' ? `Timed out after ${config.timeoutMs}ms` : error.message;
+      console.warn(`⚠️ VectorShift delivery attempt ${attempt} failed: ${lastError}`);
+
+      if (attempt < config.maxAttempts) {
+        await sleep(retryDelay(config.backoffMs, attempt, null));
+      }
+    }
+  }
+
+  const failure = { delivered: false, deadLettered: false, idempotencyKey, attempts, error: lastError };
+  if (options.deadLetter === false) {
+    return failure;
+  }
+
+  const deadLetterPath = writeDeadLetter(config.deadLetterDir, {
+    idempotencyKey,
+    payload,
+    attempts,
+    lastError,
+    failedAt: new Date().toISOString()
+  });
+
+  console.error(`❌ VectorShift delivery failed, dead-lettered to ${deadLetterPath}`);
+  return { ...failure, deadLettered: true };
+}
+
+async function postWithTimeout(config, payload, idempotencyKey) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), config.timeoutMs);
+
+  const headers = {
+    'Content-Type': 'application/json',
+    'Idempotency-Key': idempotencyKey
+  };
+  if (config.apiKey) {
+    headers.Authorization = `Bearer ${config.apiKey}`;
+  }
+
+  try {
+    return await fetch(config.endpoint, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify(payload),
+      signal: controller.signal
+    });
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// Exponential backoff with jitter, deferring to Retry-After when the server sends one
+function retryDelay(baseMs, attempt, retryAfterHeader) {
+  const retryAfterSeconds = parseInt(retryAfterHeader);
+  if (!Number.isNaN(retryAfterSeconds)) {
+    return Math.min(retryAfterSeconds * 1000, MAX_BACKOFF_MS);
+  }
+
+  const exponential = baseMs * Math.pow(2, attempt - 1);
+  const jitter = Math.random() * baseMs;
+  return Math.min(exponential + jitter, MAX_BACKOFF_MS);
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// =============================================================================
+// DEAD-LETTER STORE
+// =============================================================================
+
+function writeDeadLetter(directory, entry) {
+  fs.mkdirSync(directory, { recursive: true });
+  const filePath = path.join(directory, `${entry.idempotencyKey}.json`);
+  fs.writeFileSync(filePath, JSON.stringify(entry, null, 2));
+  return filePath;
+}
+
+function listDeadLetters(directory = getDeliveryConfig().deadLetterDir) {
+  if (!fs.existsSync(directory)) return [];
+
+  return fs.readdirSync(directory)
+    .filter(name => name.endsWith('.json'))
+    .map(name => {
+      const filePath = path.join(directory, name);
+      return { filePath, ...JSON.parse(fs.readFileSync(filePath, 'utf8')) };
+    })
+    .sort((a, b) => a.failedAt.localeCompare(b.failedAt));
+}
+
+// Re-deliver every dead letter with its original idempotency key; delivered
+// entries are removed, failures stay in place with an updated error
+async function replayDeadLetters(options = {}) {
+  const config = { ...getDeliveryConfig(), ...options.config };
+  const entries = listDeadLetters(config.deadLetterDir).slice(0, options.limit || Infinity);
+  const results = [];
+
+  for (const entry of entries) {
+    if (options.dryRun) {
+      results.push({ idempotencyKey: entry.idempotencyKey, delivered: false, dryRun: true });
+      continue;
+    }
+
+    // The existing dead letter is updated rather than a new one written
+    const result = await deliverPayload(entry.payload, {
+      idempotencyKey: entry.idempotencyKey,
+      config,
+      deadLetter: false
+    });
+
+    if (result.delivered) {
+      fs.unlinkSync(entry.filePath);
+    } else {
+      fs.writeFileSync(entry.filePath, JSON.stringify({
+        idempotencyKey: entry.idempotencyKey,
+        payload: entry.payload,
+        attempts: entry.attempts + result.attempts,
+        lastError: result.error || (result.skipped ? 'Delivery not configured' : entry.lastError),
+        failedAt: entry.failedAt,
+        lastReplayAt: new Date().toISOString()
+      }, null, 2));
+    }
+
+    results.push({ idempotencyKey: entry.idempotencyKey, delivered: result.delivered, error: result.error });
+  }
+
+  return results;
+}
+
+module.exports = {
+  getDeliveryConfig,
+  generateIdempotencyKey,
+  deliverPayload,
+  listDeadLetters,
+  replayDeadLetters
+};
@@ -0,0 +1,111 @@
+// Trust Foundation Check - Baseline Report
+// GET /report/:id       HTML report (redirected here by netlify.toml)
+// GET /report/:id/pdf   the same report as a print-ready PDF
+// Rendered from the stored scored payload, so a participant has a report even
+// when the VectorShift pipeline is down. When delivery did not succeed (skipped
+// or dead-lettered) the rule-based narrative is included, since no personalized
+// report is on its way. Team members rate their leader rather than themselves,
+// so their submissions have no individual report.
+
+const { isSubmissionId, getSubmission } = require('./lib/submission-store');
+const { renderReportHtml, renderReportPdf } = require('./lib/report-renderer');
+
+const FORMATS = ['html', 'pdf'];
+
+exports.handler = async (event, context) => {
+  const headers = {
+    'Access-Control-Allow-Origin': '*',
+    'Content-Type': 'application/json',
+    'Cache-Control': 'no-store'
+  };
+
+  // Handle CORS preflight requests
+  if (event.httpMethod === 'OPTIONS') {
+    return {
+      statusCode: 200,
+      headers: {
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Headers': 'Content-Type',
+        'Access-Control-Allow-Methods': 'GET, OPTIONS'
+      },
+      body: ''
+    };
+  }
+
+  const params = event.queryStringParameters || {};
+  const submissionId = params.id;
+  const format = params.format || 'html';
+
+  if (!isSubmissionId(submissionId)) {
+    return {
+      statusCode: 400,
+      headers,
+      body: JSON.stringify({ success: false, error: 'A valid submission ID is required' })
+    };
+  }
+  if (!FORMATS.includes(format)) {
+    return {
+      statusCode: 400,
+      headers,
+      body: JSON.stringify({ success: false, error: `format must be one of: ${FORMATS.join(', ')}` })
+    };
+  }
+
+  try {
+    const record = await getSubmission(submissionId);
+
+    if (!record) {
+      return {
+        statusCode: 404,
+        headers,
+        body: JSON.stringify({ success: false, error: `Submission ${submissionId} not found` })
+      };
+    }
+    if (record.respondentRole === 'member') {
+      return {
+        statusCode: 404,
+        headers,
+        body: JSON.stringify({ success: false, error: 'Team member responses have no individual report' })
+      };
+    }
+    if (record.status !== 'completed') {
+      return {
+        statusCode: 409,
+        headers,
+        body: JSON.stringify({ success: false, status: record.status, error: `Report is not ready (submission is ${record.status})` })
+      };
+    }
+
+    const options = { narrative: !record.result.delivery?.delivered };
+
+    if (format === 'pdf') {
+      const pdf = renderReportPdf(record.result.data, options);
+      console.log(`📄 PDF report rendered for ${submissionId} (${pdf.length} bytes)`);
+
+      return {
+        statusCode: 200,
+        headers: {
+          ...headers,
+          'Content-Type': 'application/pdf',
+          'Content-Disposition': `inline; filename="trust-foundation-check-${submissionId}.pdf"`
+        },
+        body: pdf.toString('base64'),
+        isBase64Encoded: true
+      };
+    }
+
+    return {
+      statusCode: 200,
+      headers: { ...headers, 'Content-Type': 'text/html; charset=utf-8' },
+      body: renderReportHtml(record.result.data, { ...options, pdfUrl: `/report/${submissionId}/pdf` })
+    };
+  } catch (error) {
+    console.error('❌ Report rendering error:', error);
+
+    return {
+      statusCode: 500,
+      headers,
+      body: JSON.stringify({ success: false, error: error.message })
+    };
+  }
+};
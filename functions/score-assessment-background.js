@@ -0,0 +1,29 @@
+// Trust Foundation Check - Background Scoring Worker
+// Netlify runs "-background" functions asynchronously: the caller gets a 202
+// immediately and this handler may run for up to 15 minutes. Called by
+// score-assessment with { submissionId } for a submission already in the store.
+
+const { processSubmission } = require('./score-assessment');
+const { isSubmissionId } = require('./lib/submission-store');
+
+exports.handler = async (event, context) => {
+  let submissionId = null;
+  try {
+    submissionId = JSON.parse(event.body || '{}').submissionId;
+  } catch (error) {
+    // Fall through to the ID check below
+  }
+
+  if (!isSubmissionId(submissionId)) {
+    console.error('❌ Background scoring called without a valid submission ID');
+    return;
+  }
+
+  try {
+    console.log(`⚙️ Background scoring for submission ${submissionId}...`);
+    const record = await processSubmission(submissionId);
+    console.log(`🏁 Submission ${submissionId} finished: ${record.status}`);
+  } catch (error) {
+    console.error(`❌ Background scoring error for ${submissionId}:`, error);
+  }
+};
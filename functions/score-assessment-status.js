@@ -0,0 +1,76 @@
+// Trust Foundation Check - Submission Status
+// GET /score-assessment/status/:id (redirected here by netlify.toml)
+// Reports where a submission is in the scoring pipeline; once completed the
+// scored payload and the baseline report link are included so the page can
+// show results.
+
+const { isSubmissionId, getSubmission } = require('./lib/submission-store');
+
+exports.handler = async (event, context) => {
+  const headers = {
+    'Access-Control-Allow-Origin': '*',
+    'Content-Type': 'application/json',
+    'Cache-Control': 'no-store'
+  };
+
+  // Handle CORS preflight requests
+  if (event.httpMethod === 'OPTIONS') {
+    return {
+      statusCode: 200,
+      headers: {
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Headers': 'Content-Type',
+        'Access-Control-Allow-Methods': 'GET, OPTIONS'
+      },
+      body: ''
+    };
+  }
+
+  // The redirect passes the ID as ?id=; direct calls may use the path instead
+  const submissionId = event.queryStringParameters?.id || (event.path || '').split('/').pop();
+
+  if (!isSubmissionId(submissionId)) {
+    return {
+      statusCode: 400,
+      headers,
+      body: JSON.stringify({ success: false, error: 'A valid submission ID is required' })
+    };
+  }
+
+  try {
+    const record = await getSubmission(submissionId);
+
+    if (!record) {
+      return {
+        statusCode: 404,
+        headers,
+        body: JSON.stringify({ success: false, error: `Submission ${submissionId} not found` })
+      };
+    }
+
+    return {
+      statusCode: 200,
+      headers,
+      body: JSON.stringify({
+        success: true,
+        submissionId: record.id,
+        status: record.status,
+        receivedAt: record.receivedAt,
+        updatedAt: record.updatedAt,
+        completedAt: record.completedAt || null,
+        delivery: record.result?.delivery || null,
+        error: record.error,
+        data: record.status === 'completed' ? record.result.data : null,
+        reportUrl: record.status === 'completed' && record.respondentRole !== 'member' ? `/report/${record.id}` : null
+      })
+    };
+  } catch (error) {
+    console.error('❌ Status lookup error:', error);
+
+    return {
+      statusCode: 500,
+      headers,
+      body: JSON.stringify({ success: false, error: error.message })
+    };
+  }
+};
@@ -2,6 +2,36 @@
 // All-in-one Netlify Function for automated assessment scoring
 // Updated: Force fresh deployment with netlify.toml configuration
 
+// Questions, flag/foundation membership and hierarchies come from the
+// instrument definition registered for the submission's version
+const { CURRENT_VERSION, resolveInstrument, getInstrument, listSupportedVersions } = require('./lib/instruments');
+const { analyzeResponseQuality } = require('./lib/response-quality');
+const { analyzeItemTimings } = require('./lib/timing-analytics');
+const { loadScoringProfile, bandForScore } = require('./lib/scoring-profile');
+const { loadNormsTable, applyNorms } = require('./lib/norms');
+const { deliverPayload, generateIdempotencyKey } = require('./lib/vectorshift-client');
+const { createSubmission, getSubmission, updateSubmission, listSubmissions, isSharedStore } = require('./lib/submission-store');
+const { EMAIL_PATTERN, createValidationError } = require('./lib/validation');
+const { normalizeTeamCode, isTeamCode, getTeam, updateTeam } = require('./lib/teams');
+const { aggregateTeamScores } = require('./lib/team-aggregate');
+const { compareAssessments } = require('./lib/progress');
+const { combinationKeyFor, loadNarrativeLibrary, getCombinationNarrative } = require('./lib/narrative-library');
+
+// Bands and thresholds; an invalid profile fails the function at cold start
+const SCORING_PROFILE = loadScoringProfile();
+
+// Optional reference sample for percentile scoring (null when not configured)
+const NORMS_TABLE = loadNormsTable();
+
+// Authored content for each top-3 combination; a gap in coverage fails at cold start
+const NARRATIVE_LIBRARY = loadNarrativeLibrary(getInstrument(CURRENT_VERSION));
+
+// Scoring within the request has to fit Netlify's synchronous time limit
+// (10 seconds by default), which retries with backoff can overrun. There,
+// delivery gets one short attempt and a payload it can't deliver goes
+// straight to the dead-letter store for tools/replay-dead-letters.js.
+const INLINE_DELIVERY = { maxAttempts: 1, timeoutMs: 3000 };
+
 exports.handler = async (event, context) => {
   // Handle CORS preflight requests
   if (event.httpMethod === 'OPTIONS') {
@@ -17,76 +47,120 @@ exports.handler = async (event, context) => {
   }
 
   try {
-    console.log('🎯 Starting consolidated assessment scoring...');
+    console.log('🎯 Receiving assessment submission...');
     
     // Parse the incoming form data
-    const formData = JSON.parse(event.body);
+    const formData = parseRequestBody(event.body);
     console.log('📝 Form data received:', {
-      hasPersonalInfo: !!(formData.name || formData.email),
-      hasAssessmentData: !!formData.assessmentData,
-      dataLength: formData.assessmentData?.length || 0
+      hasPersonalInfo: !!(formData.name || formData.email || formData.participant),
+      hasAssessmentData: !!(formData.assessmentData || formData.responses),
+      schemaVersion: formData.schemaVersion || 'legacy-text'
     });
 
-    // Extract and parse assessment responses
-    const assessmentData = parseAssessmentData(formData.assessmentData);
-    const personalInfo = {
-      name: formData.name || formData['full-name'],
-      email: formData.email,
-      company: formData.company,
-      submissionDate: new Date().toISOString()
-    };
+    // Validate before accepting, so a bad submission still gets its 400 now
+    const { personalInfo } = normalizeSubmission(formData);
 
-    console.log('🔍 Parsed assessment data:', {
-      totalQuestions: assessmentData.responses.length,
-      questionsAnswered: assessmentData.responses.filter(r => r !== null).length,
-      hasQuestionOrder: !!assessmentData.questionOrder
-    });
+    if (personalInfo.teamCode && !(await getTeam(personalInfo.teamCode))) {
+      throw createValidationError([
+        { field: 'team.code', code: 'unknown_team', message: `No team has the code ${personalInfo.teamCode}` }
+      ]);
+    }
 
-    // Score Trust Challenges
-    console.log('⚡ Scoring trust challenges...');
-    const challengeResults = scoreTrustChallenges(assessmentData);
-
-    // Score Trust Strengths  
-    console.log('💪 Scoring trust strengths...');
-    const strengthResults = scoreTrustStrengths(assessmentData);
-
-    // Analyze patterns and relationships
-    console.log('🔗 Analyzing patterns...');
-    const patternAnalysis = analyzePatterns(challengeResults, strengthResults);
-
-    // Format for VectorShift pipeline
-    console.log('📤 Formatting for VectorShift...');
-    const vectorShiftPayload = formatForVectorShift({
-      personalInfo,
-      challengeResults,
-      strengthResults,
-      patternAnalysis,
-      rawData: assessmentData
+    // Persist before anything else so the submission survives a scoring failure
+    const record = await createSubmission(formData, {
+      teamCode: personalInfo.teamCode,
+      respondentRole: personalInfo.respondentRole
     });
+    console.log(`📥 Submission ${record.id} stored`);
 
-    // TODO: Send to VectorShift (placeholder for now)
-    console.log('🚀 VectorShift payload ready:', {
-      participant: vectorShiftPayload.participant.name,
-      topChallenges: vectorShiftPayload.trustChallenges.top3.length,
-      topStrengths: vectorShiftPayload.trustStrengths.cornerstone.length,
-      patternType: vectorShiftPayload.patternAnalysis.combinationKey
-    });
+    // ?sync=true scores and delivers within the request (scripts, debugging)
+    if (event.queryStringParameters?.sync === 'true') {
+      const processed = await processSubmission(record.id, { delivery: INLINE_DELIVERY });
+      if (processed.status === 'failed') {
+        throw new Error(processed.error.message);
+      }
+
+      return {
+        statusCode: 200,
+        headers: {
+          'Access-Control-Allow-Origin': '*',
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({
+          success: true,
+          message: 'Assessment scored successfully',
+          submissionId: record.id,
+          data: processed.result.data,
+          delivery: processed.result.delivery,
+          reportUrl: reportUrlFor(processed)
+        })
+      };
+    }
+
+    // Hand off to the background worker and answer straight away. When the
+    // submission had to be scored inline, the result goes back with this
+    // response, since the status endpoint may run on an instance that can't
+    // see the record.
+
+    const queued = await queueBackgroundScoring(record.id);
+    const current = queued ? record : await processSubmission(record.id, { delivery: INLINE_DELIVERY });
+
+    // Scored inline and failed: the submission stays stored for a re-score,
+    // but the caller is told it has no result
+    if (current.status === 'failed') {
+      return {
+        statusCode: 500,
+        headers: {
+          'Access-Control-Allow-Origin': '*',
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({
+          success: false,
+          error: current.error.message,
+          errors: current.error.errors,
+          submissionId: record.id,
+          status: current.status,
+          statusUrl: `/score-assessment/status/${record.id}`
+        })
+      };
+    }
 
-    // For now, return the formatted data (later we'll send to VectorShift)
     return {
-      statusCode: 200,
+      statusCode: queued ? 202 : 200,
       headers: {
         'Access-Control-Allow-Origin': '*',
         'Content-Type': 'application/json'
       },
       body: JSON.stringify({
         success: true,
-        message: 'Assessment scored successfully',
-        data: vectorShiftPayload
+        message: queued ? 'Assessment accepted for scoring' : 'Assessment scored',
+        submissionId: record.id,
+        status: current.status,
+        statusUrl: `/score-assessment/status/${record.id}`,
+        data: current.status === 'completed' ? current.result.data : null,
+        delivery: current.result?.delivery || null,
+        reportUrl: current.status === 'completed' ? reportUrlFor(current) : null
       })
     };
 
   } catch (error) {
+    if (error.name === 'ValidationError') {
+      console.warn('⚠️ Submission rejected:', error.validationErrors);
+
+      return {
+        statusCode: 400,
+        headers: {
+          'Access-Control-Allow-Origin': '*',
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({
+          success: false,
+          error: error.message,
+          errors: error.validationErrors
+        })
+      };
+    }
+
     console.error('❌ Scoring error:', error);
     
     return {
@@ -105,129 +179,759 @@ exports.handler = async (event, context) => {
 };
 
 // =============================================================================
-// DATA PARSING FUNCTIONS
+// SCORING PIPELINE
 // =============================================================================
 
-function parseAssessmentData(assessmentDataString) {
+// Parse, score and format one submission; throws a ValidationError for bad input.
+// Returns the parsed assessment data alongside the payload built from it.
+// options.teamAggregate adds the leader-versus-team perception gaps;
+// options.previous (from findPreviousAssessment) adds the trend since the
+// participant's last assessment, dated options.assessedAt.
+// options.logger ({ log }, default console) takes the progress logging, so
+// tools can quieten or redirect it.
+function scoreSubmission(formData, options = {}) {
+  const logger = options.logger || console;
+  logger.log('🎯 Starting consolidated assessment scoring...');
+
+  // Extract and parse assessment responses (JSON contract or legacy text blob)
+  const { personalInfo, assessmentData } = normalizeSubmission(formData);
+  const { instrument } = resolveInstrument(assessmentData.instrumentVersion);
+
+  logger.log('🔍 Parsed assessment data:', {
+    totalQuestions: assessmentData.responses.length,
+    questionsAnswered: assessmentData.responses.filter(r => r !== null).length,
+    hasQuestionOrder: !!assessmentData.questionOrder,
+    instrumentVersion: assessmentData.instrumentVersion,
+    migratedFrom: assessmentData.migratedFrom
+  });
+
+  // Score Trust Challenges
+  logger.log('⚡ Scoring trust challenges...');
+  const challengeResults = scoreTrustChallenges(assessmentData, instrument, logger);
+
+  // Score Trust Strengths  
+  logger.log('💪 Scoring trust strengths...');
+  const strengthResults = scoreTrustStrengths(assessmentData, instrument, logger);
+
+  // Analyze patterns and relationships
+  logger.log('🔗 Analyzing patterns...');
+  const patternAnalysis = analyzePatterns(challengeResults, strengthResults, instrument, logger);
+
+  // Compare scores against the reference sample, when one is configured
+  const normativeScores = applyNorms(NORMS_TABLE, {
+    challengeScores: challengeResults.allScores,
+    strengthScores: strengthResults.allScores,
+    participant: personalInfo,
+    instrumentVersion: assessmentData.instrumentVersion
+  });
+
+  // Check how far the answers themselves can be trusted
+  logger.log('🧪 Checking response quality...');
+  const responseQuality = analyzeResponseQuality(assessmentData, instrument, SCORING_PROFILE);
+
+  // Summarize where the participant hesitated
+  logger.log('⏱️ Analyzing item timings...');
+  const timingAnalytics = analyzeItemTimings(assessmentData, instrument, SCORING_PROFILE);
+
+  // Compare the leader's view with their team's, once the team has answered
+  const perceptionGaps = options.teamAggregate
+    ? analyzePerceptionGaps(leaderScoresFromResults(challengeResults, strengthResults), options.teamAggregate, instrument)
+    : null;
+
+  // Show a returning participant what moved since their last assessment
+  const trend = options.previous
+    ? compareAssessments(options.previous, {
+      assessedAt: options.assessedAt || personalInfo.submissionDate,
+      ...leaderScoresFromResults(challengeResults, strengthResults)
+    }, SCORING_PROFILE)
+    : null;
+
+  // Format for VectorShift pipeline
+  logger.log('📤 Formatting for VectorShift...');
+  const vectorShiftPayload = formatForVectorShift({
+    personalInfo,
+    challengeResults,
+    strengthResults,
+    patternAnalysis,
+    responseQuality,
+    timingAnalytics,
+    normativeScores,
+    perceptionGaps,
+    trend,
+    rawData: assessmentData
+  }, logger);
+
+  logger.log('🚀 VectorShift payload ready:', {
+    participant: vectorShiftPayload.participant.name,
+    topChallenges: vectorShiftPayload.trustChallenges.top3.length,
+    topStrengths: vectorShiftPayload.trustStrengths.cornerstone.length,
+    patternType: vectorShiftPayload.patternAnalysis.combinationKey
+  });
+
+  return { assessmentData, vectorShiftPayload };
+}
+
+// Score and deliver a stored submission, recording the outcome on it.
+// Runs in the background function, or inline when no worker is reachable.
+// options.delivery overrides the VectorShift delivery settings (attempts,
+// timeout) for this run, as the inline path does to stay within the time limit.
+async function processSubmission(submissionId, options = {}) {
+  const record = await getSubmission(submissionId);
+  if (!record) {
+    throw new Error(`Submission ${submissionId} not found`);
+  }
+  if (record.status === 'completed') {
+    console.log(`ℹ️ Submission ${submissionId} already scored`);
+    return record;
+  }
+
+  await updateSubmission(submissionId, { status: 'processing', attempts: record.attempts + 1 });
+
   try {
-    const lines = assessmentDataString.split('\n');
-    const responses = new Array(45).fill(null);
-    const questions = new Array(45).fill(null);
-    let currentQuestionIndex = -1;
-
-    // Parse each line
-    lines.forEach(line => {
-      const questionMatch = line.match(/^Q(\d+)(\s*\(R\))?\s*:\s*(.+)$/);
-      if (questionMatch) {
-        currentQuestionIndex = parseInt(questionMatch[1]) - 1; // Convert to 0-based
-        const isReverse = !!questionMatch[2];
-        const questionText = questionMatch[3];
-        
-        questions[currentQuestionIndex] = {
-          text: questionText,
-          reverseScored: isReverse
-        };
-      }
+    const previous = await findPreviousAssessment(record);
+    const { assessmentData, vectorShiftPayload } = scoreSubmission(record.submission, {
+      previous,
+      assessedAt: record.receivedAt
+    });
 
-      const responseMatch = line.match(/^Response:\s*(\d+)\s*-\s*(.+)$/);
-      if (responseMatch && currentQuestionIndex >= 0) {
-        const responseValue = parseInt(responseMatch[1]);
-        responses[currentQuestionIndex] = responseValue;
-      }
+    // Send to VectorShift; failures are dead-lettered rather than failing the submission.
+    // Team members feed the team report and get no individual report of their own.
+    const delivery = vectorShiftPayload.participant.respondentRole === 'member'
+      ? { delivered: false, skipped: true, idempotencyKey: null }
+      : await deliverPayload(vectorShiftPayload, { submissionId, config: options.delivery });
+
+    console.log(`✅ Submission ${submissionId} scored`);
+    const completed = await updateSubmission(submissionId, {
+      status: 'completed',
+      completedAt: new Date().toISOString(),
+      previousSubmissionId: previous?.submissionId || null,
+      assessmentData,
+      result: { data: vectorShiftPayload, delivery: summarizeDelivery(delivery) },
+      error: null
     });
 
-    // Create question order based on parsing
-    const questionOrder = Array.from({length: 45}, (_, i) => i);
+    if (completed.teamCode) {
+      await deliverTeamPerceptionReport(completed.teamCode, options.delivery);
+    }
 
-    return {
-      responses,
-      questions,
-      questionOrder
-    };
+    return completed;
+  } catch (error) {
+    console.error(`❌ Submission ${submissionId} failed:`, error);
+    return updateSubmission(submissionId, {
+      status: 'failed',
+      error: { message: error.message, errors: error.validationErrors }
+    });
+  }
+}
+
+// A participant is identified by their normalized email. Their most recent
+// completed assessment taken before this one is the baseline for the trend;
+// team members rate their leader rather than themselves, so they have none.
+async function findPreviousAssessment(record) {
+  if (!record.email || record.respondentRole === 'member') return null;
+
+  const earlier = (await listSubmissions({ email: record.email, status: 'completed' }))
+    .filter(other => other.id !== record.id &&
+      other.respondentRole !== 'member' &&
+      other.result &&
+      other.receivedAt < record.receivedAt);
+
+  if (earlier.length === 0) return null;
+
+  return {
+    submissionId: earlier[0].id,
+    assessedAt: earlier[0].receivedAt,
+    priorAssessments: earlier.length - 1,
+    ...leaderScoresFromPayload(earlier[0].result.data)
+  };
+}
 
+// Hand a stored submission to score-assessment-background. Returns false when
+// there is no worker to call (local runs), the worker couldn't read the record
+// back because the store isn't shared between instances (the default on
+// Netlify), or the call fails, so the caller can score inline instead of
+// leaving the submission queued.
+async function queueBackgroundScoring(submissionId) {
+  if (!isSharedStore()) {
+    console.warn('⚠️ Submission store is not shared between function instances - scoring inline');
+    return false;
+  }
+
+  const workerUrl = process.env.SCORING_WORKER_URL ||
+    (process.env.URL ? `${process.env.URL}/.netlify/functions/score-assessment-background` : null);
+
+  if (!workerUrl) {
+    console.warn('⚠️ No background worker URL - scoring inline');
+    return false;
+  }
+
+  try {
+    const response = await fetch(workerUrl, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ submissionId })
+    });
+
+    // Background functions acknowledge with 202 and carry on without us
+    if (response.status !== 202) {
+      console.warn(`⚠️ Background worker answered ${response.status} - scoring inline`);
+      return false;
+    }
+    return true;
   } catch (error) {
-    console.error('Failed to parse assessment data:', error);
-    throw new Error('Invalid assessment data format');
+    console.warn(`⚠️ Background worker unreachable (${error.message}) - scoring inline`);
+    return false;
   }
 }
 
+// The baseline report is read back from the store by the report function, so
+// it is only linked when that function can see the record. Team members rate
+// their leader and have no individual report.
+function reportUrlFor(record) {
+  if (record.respondentRole === 'member' || !isSharedStore()) return null;
+  return `/report/${record.id}`;
+}
+
+function summarizeDelivery(delivery) {
+  return {
+    delivered: delivery.delivered,
+    skipped: !!delivery.skipped,
+    deadLettered: !!delivery.deadLettered,
+    idempotencyKey: delivery.idempotencyKey
+  };
+}
+
+exports.scoreSubmission = scoreSubmission;
+exports.processSubmission = processSubmission;
+exports.buildTeamAggregate = buildTeamAggregate;
+exports.analyzePerceptionGaps = analyzePerceptionGaps;
+exports.leaderScoresFromPayload = leaderScoresFromPayload;
+
 // =============================================================================
-// TRUST CHALLENGES SCORING
+// INSTRUMENT STRUCTURE
 // =============================================================================
 
-function scoreTrustChallenges(assessmentData) {
-  console.log('🔍 Starting Trust Challenges scoring...');
-  
-  const { responses, questions } = assessmentData;
-  
-  // Define the 9 red flags and their question mappings
-  const RED_FLAGS = {
-    'Inauthenticity': {
-      category: 'CONCEAL',
-      questionIndices: [0, 1, 2, 3, 4] // Questions 1-5
-    },
-    'Undercurrent of Negativity': {
-      category: 'CONTAMINATE', 
-      questionIndices: [5, 6, 7, 8, 9] // Questions 6-10
-    },
-    'Lack of Follow-Through': {
-      category: 'COLLAPSE',
-      questionIndices: [10, 11, 12, 13, 14] // Questions 11-15
-    },
-    'Reluctance to Take on Challenges': {
-      category: 'CONCEAL',
-      questionIndices: [15, 16, 17, 18, 19] // Questions 16-20
-    },
-    'Excessive Self-Reliance': {
-      category: 'CONTROL',
-      questionIndices: [20, 21, 22, 23, 24] // Questions 21-25
-    },
-    'Micromanaging': {
-      category: 'CONTROL',
-      questionIndices: [25, 26, 27, 28, 29] // Questions 26-30
-    },
-    'Emotional Volatility': {
-      category: 'CONTAMINATE',
-      questionIndices: [30, 31, 32, 33, 34] // Questions 31-35
-    },
-    'Information Hoarding': {
-      category: 'CONTROL',
-      questionIndices: [35, 36, 37, 38, 39] // Questions 36-40
-    },
-    'Closed-Mindedness': {
-      category: 'CONCEAL',
-      questionIndices: [40, 41, 42, 43, 44] // Questions 41-45
+function getFlagForQuestion(instrument, index) {
+  const entry = Object.entries(instrument.redFlags).find(([, flagInfo]) => flagInfo.questionIndices.includes(index));
+  return entry ? entry[0] : null;
+}
+
+// Resolve the instrument a submission was taken on; retired versions are
+// migrated and unknown ones are reported as a validation problem. A missing
+// version is reported too, but the responses are still checked against the
+// current instrument so the same 400 lists their problems as well.
+function resolveSubmittedInstrument(version, field, problems) {
+  if (!version) {
+    problems.push({ field, code: 'required', message: 'instrument version is required' });
+    return resolveInstrument(CURRENT_VERSION);
+  }
+
+  const resolved = resolveInstrument(version);
+  if (!resolved) {
+    problems.push({
+      field,
+      code: 'unsupported_version',
+      message: `Instrument version ${version} is not supported (expected one of ${listSupportedVersions().join(', ')})`
+    });
+  }
+
+  return resolved;
+}
+
+// =============================================================================
+// REQUEST VALIDATION
+// =============================================================================
+
+// Largest request body accepted; a complete text submission is ~12KB
+const MAX_BODY_BYTES = 64 * 1024;
+
+function parseRequestBody(body) {
+  if (!body) {
+    throw createValidationError([
+      { field: 'body', code: 'required', message: 'Request body is empty' }
+    ]);
+  }
+
+  const size = Buffer.byteLength(body, 'utf8');
+  if (size > MAX_BODY_BYTES) {
+    throw createValidationError([
+      { field: 'body', code: 'too_large', message: `Request body is ${size} bytes; the limit is ${MAX_BODY_BYTES}` }
+    ]);
+  }
+
+  let parsed;
+  try {
+    parsed = JSON.parse(body);
+  } catch (error) {
+    throw createValidationError([
+      { field: 'body', code: 'invalid_json', message: 'Request body is not valid JSON' }
+    ]);
+  }
+
+  if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+    throw createValidationError([
+      { field: 'body', code: 'invalid_type', message: 'Request body must be a JSON object' }
+    ]);
+  }
+
+  return parsed;
+}
+
+function validateParticipant(personalInfo, fieldPrefix, problems) {
+  ['name', 'email', 'company'].forEach(key => {
+    const value = personalInfo[key];
+    if (typeof value !== 'string' || !value.trim()) {
+      problems.push({ field: `${fieldPrefix}${key}`, code: 'required', message: `${key} is required` });
+    }
+  });
+
+  if (typeof personalInfo.email === 'string' && personalInfo.email.trim() && !EMAIL_PATTERN.test(personalInfo.email.trim())) {
+    problems.push({ field: `${fieldPrefix}email`, code: 'invalid_format', message: 'email is not a valid email address' });
+  }
+
+  // Optional context used to pick a norms group
+  if (personalInfo.industry !== undefined && typeof personalInfo.industry !== 'string') {
+    problems.push({ field: `${fieldPrefix}industry`, code: 'invalid_type', message: 'industry must be text' });
+  }
+  if (personalInfo.teamSize !== undefined && (!Number.isInteger(personalInfo.teamSize) || personalInfo.teamSize < 1)) {
+    problems.push({ field: `${fieldPrefix}teamSize`, code: 'invalid_type', message: 'teamSize must be a positive whole number' });
+  }
+}
+
+// Team mode: { code, role? } where role can only be member. The leader is never
+// named by a submission: their assessment joins the team when they create it
+// (lib/teams records leaderSubmissionId), so nobody holding the team code can
+// claim the leader's place. Whether the team exists is checked against the
+// store once the submission has parsed.
+function validateTeamMembership(team, problems) {
+  if (team === undefined || team === null) {
+    return { teamCode: null, respondentRole: 'leader' };
+  }
+
+  const teamCode = normalizeTeamCode(team.code);
+  const respondentRole = team.role ?? 'member';
+
+  if (!isTeamCode(teamCode)) {
+    problems.push({ field: 'team.code', code: 'invalid_format', message: 'team code must be the 8-character code the leader shared' });
+  }
+  if (respondentRole !== 'member') {
+    problems.push({ field: 'team.role', code: 'invalid_value', message: 'team role must be member; leaders join their team by creating it' });
+  }
+
+  return { teamCode, respondentRole };
+}
+
+// Unanswered items (null) are allowed; the missing data policy decides
+// whether their flag can still be scored
+function validateResponseValue(value, field, label, problems) {
+  if (value !== null && (!Number.isInteger(value) || value < 1 || value > 5)) {
+    problems.push({ field, code: 'out_of_range', message: `${label} response must be a whole number from 1 to 5` });
+  }
+}
+
+const TIMING_FIELDS = ['dwellMs', 'visits', 'answerChanges', 'revisits'];
+
+function validateItemTiming(timing, field, problems) {
+  if (timing === undefined || timing === null) return;
+
+  if (typeof timing !== 'object' || Array.isArray(timing)) {
+    problems.push({ field, code: 'invalid_type', message: 'timing must be an object' });
+    return;
+  }
+
+  TIMING_FIELDS.forEach(key => {
+    const value = timing[key];
+    if (value !== undefined && (typeof value !== 'number' || !Number.isFinite(value) || value < 0)) {
+      problems.push({ field: `${field}.${key}`, code: 'invalid_type', message: `${key} must be a non-negative number` });
+    }
+  });
+}
+
+function validateCompleteness(responses, instrument, collectionField, problems) {
+  const scorableFlags = countScorableFlags(responses, instrument);
+  if (scorableFlags < MIN_SCORABLE_FLAGS) {
+    problems.push({
+      field: collectionField,
+      code: 'insufficient_data',
+      message: `Only ${scorableFlags} red flags have at least ${MIN_ANSWERED_PER_FLAG} answered items; at least ${MIN_SCORABLE_FLAGS} are needed`
+    });
+  }
+}
+
+// =============================================================================
+// DATA PARSING FUNCTIONS
+// =============================================================================
+
+// Versions of the structured JSON request schema this function understands
+const SUPPORTED_SCHEMA_VERSIONS = ['1.0'];
+
+// Structured submissions (schemaVersion set) are read directly; anything else
+// goes through the legacy text adapter built by formatResultsForSubmission
+function normalizeSubmission(formData) {
+  if (formData.schemaVersion !== undefined) {
+    return parseJsonSubmission(formData);
+  }
+
+  const problems = [];
+  const personalInfo = {
+    name: formData.name || formData['full-name'],
+    email: formData.email,
+    company: formData.company,
+    industry: formData.industry,
+    teamSize: formData.teamSize,
+    teamCode: null,
+    respondentRole: 'leader',
+    submissionDate: new Date().toISOString()
+  };
+  validateParticipant(personalInfo, '', problems);
+
+  const assessmentData = parseAssessmentData(formData.assessmentData, problems);
+
+  if (problems.length > 0 || !assessmentData) {
+    throw createValidationError(problems);
+  }
+
+  return {
+    personalInfo,
+    assessmentData: {
+      ...assessmentData,
+      source: 'legacy-text',
+      timings: null
     }
   };
+}
+
+// Schema 1.0:
+// {
+//   schemaVersion: '1.0',
+//   instrumentVersion: 'v5',
+//   participant: { name, email, company, industry?, teamSize? },
+//   team: { code, role?: 'member' },        // optional, team mode
+//   responses: [{ questionId: 1-45, value: 1-5 | null, reverseScored?, category?, timing? }],
+//   displayOrder: [questionId, ...],        // optional, order shown to participant
+//   timings: { startedAt, completedAt, backNavigations? }  // optional, ISO timestamps
+// }
+// timing (optional, per item): { dwellMs, visits, answerChanges, revisits }
+function parseJsonSubmission(submission) {
+  if (!SUPPORTED_SCHEMA_VERSIONS.includes(submission.schemaVersion)) {
+    throw createValidationError([{
+      field: 'schemaVersion',
+      code: 'unsupported',
+      message: `Schema version ${submission.schemaVersion} is not supported (expected one of ${SUPPORTED_SCHEMA_VERSIONS.join(', ')})`
+    }]);
+  }
 
-  // Trust Triage Protocol hierarchy
-  const TRIAGE_HIERARCHY = {
-    'CONTAMINATE': 4, // Highest priority
-    'CONTROL': 3,
-    'CONCEAL': 2,
-    'COLLAPSE': 1 // Lowest priority
+  const problems = [];
+  const participant = submission.participant || {};
+  const personalInfo = {
+    name: participant.name,
+    email: participant.email,
+    company: participant.company,
+    industry: participant.industry,
+    teamSize: participant.teamSize,
+    submissionDate: new Date().toISOString()
   };
+  validateParticipant(personalInfo, 'participant.', problems);
+  Object.assign(personalInfo, validateTeamMembership(submission.team, problems));
 
-  // Within-category hierarchy
-  const WITHIN_CATEGORY_HIERARCHY = {
-    'CONTAMINATE': {
-      'Emotional Volatility': 2,
-      'Undercurrent of Negativity': 1
-    },
-    'CONTROL': {
-      'Micromanaging': 3,
-      'Information Hoarding': 2,
-      'Excessive Self-Reliance': 1
-    },
-    'CONCEAL': {
-      'Inauthenticity': 3,
-      'Closed-Mindedness': 2,
-      'Reluctance to Take on Challenges': 1
+  if (!Array.isArray(submission.responses)) {
+    problems.push({ field: 'responses', code: 'invalid_type', message: 'responses must be an array' });
+    throw createValidationError(problems);
+  }
+
+  const displayOrder = Array.isArray(submission.displayOrder)
+    ? submission.displayOrder
+    : submission.responses.map(response => response?.questionId);
+
+  const blocks = submission.responses.map((response, i) => {
+    const field = `responses[${i}]`;
+    const entry = response || {};
+
+    if (entry.reverseScored !== undefined && typeof entry.reverseScored !== 'boolean') {
+      problems.push({ field: `${field}.reverseScored`, code: 'invalid_type', message: 'reverseScored must be true or false' });
+    }
+    validateItemTiming(entry.timing, `${field}.timing`, problems);
+
+    return {
+      field,
+      idField: `${field}.questionId`,
+      valueField: `${field}.value`,
+      label: `questionId ${entry.questionId}`,
+      displayPosition: displayOrder.indexOf(entry.questionId) + 1,
+      reverseScored: typeof entry.reverseScored === 'boolean' ? entry.reverseScored : null,
+      text: null,
+      itemId: entry.questionId ?? null,
+      category: entry.category || null,
+      response: entry.value ?? null,
+      timing: entry.timing ?? null
+    };
+  });
+
+  const resolved = resolveSubmittedInstrument(submission.instrumentVersion, 'instrumentVersion', problems);
+  const assessmentData = resolved ? mapBlocksToQuestions(blocks, resolved, 'responses', problems) : null;
+
+  if (problems.length > 0 || !assessmentData) {
+    throw createValidationError(problems);
+  }
+
+  return {
+    personalInfo,
+    assessmentData: {
+      ...assessmentData,
+      source: `json-${submission.schemaVersion}`,
+      timings: submission.timings || null
+    }
+  };
+}
+
+function parseAssessmentData(assessmentDataString, problems) {
+  if (typeof assessmentDataString !== 'string' || !assessmentDataString.trim()) {
+    problems.push({ field: 'assessmentData', code: 'required', message: 'assessmentData is required' });
+    return null;
+  }
+
+  const lines = assessmentDataString.split('\n');
+  const blocks = [];
+  let currentBlock = null;
+  let version = null;
+
+  // Group lines into one block per displayed question
+  lines.forEach(line => {
+    const headerMatch = line.match(/^TRUST FOUNDATION CHECK RESULTS\s*-\s*(\S+)\s*$/);
+    if (headerMatch) {
+      version = headerMatch[1];
+      return;
     }
+
+    const questionMatch = line.match(/^Q(\d+)(\s*\(R\))?\s*:\s*(.+)$/);
+    if (questionMatch) {
+      const displayPosition = parseInt(questionMatch[1]);
+      const field = `assessmentData.Q${displayPosition}`;
+      currentBlock = {
+        field,
+        idField: `${field}.item`,
+        valueField: `${field}.response`,
+        label: `Q${displayPosition}`,
+        displayPosition,
+        reverseScored: !!questionMatch[2],
+        text: questionMatch[3].trim(),
+        itemId: null,
+        category: null,
+        response: null
+      };
+      blocks.push(currentBlock);
+      return;
+    }
+
+    if (!currentBlock) return;
+
+    const itemMatch = line.match(/^Item:\s*(\d+)\s*$/);
+    if (itemMatch) {
+      currentBlock.itemId = parseInt(itemMatch[1]);
+      return;
+    }
+
+    const categoryMatch = line.match(/^Category:\s*([^|]+?)\s*(\||$)/);
+    if (categoryMatch) {
+      currentBlock.category = categoryMatch[1];
+      return;
+    }
+
+    const responseMatch = line.match(/^Response:\s*(\d+)\s*-\s*(.+)$/);
+    if (responseMatch) {
+      currentBlock.response = parseInt(responseMatch[1]);
+    }
+  });
+
+  const resolved = resolveSubmittedInstrument(version, 'assessmentData.version', problems);
+  return resolved ? mapBlocksToQuestions(blocks, resolved, 'assessmentData', problems) : null;
+}
+
+// Map each displayed question back to its original item so shuffled
+// submissions are scored against the right red flag. Problems are collected
+// rather than thrown so the caller can report all of them at once.
+function mapBlocksToQuestions(blocks, resolved, collectionField, problems) {
+  const { instrument, migratedFrom, mapItemId } = resolved;
+  const totalQuestions = instrument.questions.length;
+  const responses = new Array(totalQuestions).fill(null);
+  const questions = new Array(totalQuestions).fill(null);
+  const itemTimings = new Array(totalQuestions).fill(null);
+  const questionOrder = new Array(blocks.length).fill(null);
+
+  blocks.forEach(block => {
+    const { label } = block;
+
+    if (!Number.isInteger(block.itemId)) {
+      problems.push({ field: block.idField, code: 'required', message: `${label} has no item identifier` });
+      return;
+    }
+
+    // Items retired by a version migration are dropped
+    const itemId = mapItemId(block.itemId);
+    if (itemId === null) return;
+
+    if (itemId < 1 || itemId > totalQuestions) {
+      problems.push({ field: block.idField, code: 'unknown_question', message: `${label} references unknown item ${block.itemId}` });
+      return;
+    }
+
+    const index = itemId - 1;
+    if (questions[index] !== null) {
+      problems.push({ field: block.idField, code: 'duplicate_question', message: `Item ${block.itemId} is answered more than once` });
+      return;
+    }
+
+    if (block.displayPosition < 1 || block.displayPosition > blocks.length) {
+      problems.push({ field: block.field, code: 'invalid_position', message: `${label} has no display position between 1 and ${blocks.length}` });
+    } else if (questionOrder[block.displayPosition - 1] !== null) {
+      problems.push({ field: block.field, code: 'invalid_position', message: `Display position ${block.displayPosition} is used more than once` });
+    } else {
+      questionOrder[block.displayPosition - 1] = index;
+    }
+
+    // A category label, when present, must agree with the red flag that owns this item
+    const expectedFlag = getFlagForQuestion(instrument, index);
+    if (block.category !== null && block.category !== expectedFlag) {
+      problems.push({
+        field: block.field,
+        code: 'inconsistent_category',
+        message: `${label} (item ${block.itemId}) is labelled "${block.category}" but belongs to "${expectedFlag}"`
+      });
+    }
+
+    // Reverse-scoring comes from the instrument; a submitted marker that
+    // disagrees means the client is running a different question set
+    const instrumentQuestion = instrument.questions[index];
+    if (block.reverseScored !== null && block.reverseScored !== instrumentQuestion.reverseScored) {
+      problems.push({
+        field: block.field,
+        code: 'inconsistent_scoring',
+        message: `${label} (item ${block.itemId}) is marked ${block.reverseScored ? '' : 'not '}reverse-scored, which does not match the instrument`
+      });
+    }
+
+    validateResponseValue(block.response, block.valueField, label, problems);
+
+    questions[index] = {
+      text: block.text,
+      reverseScored: instrumentQuestion.reverseScored,
+      category: block.category,
+      displayPosition: block.displayPosition
+    };
+    responses[index] = block.response;
+    itemTimings[index] = block.timing || null;
+  });
+
+  questions.forEach((question, index) => {
+    if (question === null) {
+      problems.push({
+        field: collectionField,
+        code: 'missing_question',
+        message: `Item ${index + 1} (${getFlagForQuestion(instrument, index)}) is missing`
+      });
+    }
+  });
+
+  if (questions.every(question => question !== null)) {
+    validateCompleteness(responses, instrument, collectionField, problems);
+  }
+
+  return {
+    responses,
+    questions,
+    questionOrder: questionOrder.filter(index => index !== null),
+    itemTimings,
+    instrumentVersion: instrument.version,
+    migratedFrom
   };
+}
+
+// =============================================================================
+// MISSING DATA POLICY
+// =============================================================================
+
+// A flag or foundation is scored (prorated to its full item count) only when
+// at least this many of its items were answered; below that it is excluded
+const MIN_ANSWERED_PER_FLAG = SCORING_PROFILE.missingData.minAnsweredPerFlag;
+
+// Top-3 ranking and combination keys need at least three scorable flags
+const MIN_SCORABLE_FLAGS = 3;
 
-  if (!responses || responses.length !== 45) {
-    throw new Error('Invalid assessment data: must have exactly 45 responses');
+const CONFIDENCE_ORDER = ['insufficient', 'low', 'moderate', 'high'];
+
+function describeConfidence(answered, total) {
+  let level = 'insufficient';
+  if (answered === total) level = 'high';
+  else if (answered >= total - 1) level = 'moderate';
+  else if (answered >= MIN_ANSWERED_PER_FLAG) level = 'low';
+
+  return {
+    level,
+    answered,
+    total,
+    completionRate: Math.round((answered / total) * 100) / 100
+  };
+}
+
+// Prorate the raw total (n to 5n for a scale of n items) from the answered
+// items; null when too few
+function prorateRawTotal(itemScores) {
+  const answered = itemScores.filter(score => score !== null);
+  if (answered.length < MIN_ANSWERED_PER_FLAG) return null;
+
+  const sum = answered.reduce((total, score) => total + score, 0);
+  return Math.round((sum / answered.length) * itemScores.length * 10) / 10;
+}
+
+// 0-100 index from a raw total; the range follows the scale's item count, so
+// instruments with shorter scales still span the full index
+function indexFromRawTotal(rawTotal, itemCount) {
+  if (rawTotal === null) return null;
+  return Math.round(((rawTotal - itemCount) / (4 * itemCount)) * 100);
+}
+
+// Overall confidence is the weakest confidence among the scored groups
+function summarizeConfidence(details, responses) {
+  const scored = Object.values(details).filter(detail => detail.indexScore !== null);
+  const weakest = scored.reduce((lowest, detail) =>
+    CONFIDENCE_ORDER.indexOf(detail.confidence.level) < CONFIDENCE_ORDER.indexOf(lowest)
+      ? detail.confidence.level
+      : lowest
+  , 'high');
+  const answered = responses.filter(r => r !== null).length;
+
+  return {
+    level: scored.length > 0 ? weakest : 'insufficient',
+    answered,
+    total: responses.length,
+    completionRate: Math.round((answered / responses.length) * 100) / 100,
+    scoredCount: scored.length,
+    excludedCount: Object.keys(details).length - scored.length
+  };
+}
+
+function countScorableFlags(responses, instrument) {
+  return Object.values(instrument.redFlags).filter(flagInfo =>
+    flagInfo.questionIndices.filter(index => responses[index] !== null).length >= MIN_ANSWERED_PER_FLAG
+  ).length;
+}
+
+// =============================================================================
+// TRUST CHALLENGES SCORING
+// =============================================================================
+
+function scoreTrustChallenges(assessmentData, instrument, logger = console) {
+  logger.log('🔍 Starting Trust Challenges scoring...');
+  
+  const { responses, questions } = assessmentData;
+  
+  const RED_FLAGS = instrument.redFlags;
+  const TRIAGE_HIERARCHY = instrument.triageHierarchy;
+  const WITHIN_CATEGORY_HIERARCHY = instrument.withinCategoryHierarchy;
+  const totalQuestions = instrument.questions.length;
+
+  if (!responses || responses.length !== totalQuestions) {
+    throw new Error(`Invalid assessment data: must have exactly ${totalQuestions} responses`);
   }
 
   // Calculate flag scores
@@ -239,9 +943,9 @@ function scoreTrustChallenges(assessmentData) {
       const response = responses[index];
       const question = questions[index];
       
-      // Apply reverse scoring if needed
+      // Apply reverse scoring if needed (unanswered items stay null)
       const isReverse = question?.reverseScored || false;
-      const scoredValue = isReverse ? (6 - response) : response;
+      const scoredValue = response === null ? null : (isReverse ? (6 - response) : response);
       
       return {
         questionIndex: index,
@@ -251,11 +955,15 @@ function scoreTrustChallenges(assessmentData) {
       };
     });
 
-    // Calculate raw total (5-25 range)
-    const rawTotal = questionResponses.reduce((sum, q) => sum + q.scoredValue, 0);
+    // Calculate raw total (n-5n for n items), prorated when items were skipped
+    const rawTotal = prorateRawTotal(questionResponses.map(q => q.scoredValue));
+    const confidence = describeConfidence(
+      questionResponses.filter(q => q.originalResponse !== null).length,
+      questionResponses.length
+    );
     
-    // Convert to 0-100 index
-    const indexScore = Math.round(((rawTotal - 5) / 20) * 100);
+    // Convert to 0-100 index (null when there is too little data to score)
+    const indexScore = indexFromRawTotal(rawTotal, questionResponses.length);
     
     flagScores[flagName] = indexScore;
     flagDetails[flagName] = {
@@ -263,14 +971,28 @@ function scoreTrustChallenges(assessmentData) {
       rawTotal: rawTotal,
       indexScore: indexScore,
       questionResponses: questionResponses,
-      severity: categorizeSeverity(indexScore)
+      severity: indexScore === null ? null : categorizeSeverity(indexScore),
+      confidence: confidence
     };
   });
 
-  console.log('📊 Flag scores calculated:', Object.entries(flagScores).map(([name, score]) => `${name}: ${score}`));
+  logger.log('📊 Flag scores calculated:', Object.entries(flagScores).map(([name, score]) => `${name}: ${score}`));
+
+  // Flags without enough answered items are left out of ranking and severity
+  const scoredFlagScores = Object.fromEntries(
+    Object.entries(flagScores).filter(([, score]) => score !== null)
+  );
+  const excludedFlags = Object.entries(flagDetails)
+    .filter(([, details]) => details.indexScore === null)
+    .map(([name, details]) => ({
+      name,
+      category: details.category,
+      answered: details.confidence.answered,
+      required: MIN_ANSWERED_PER_FLAG
+    }));
 
   // Identify top 3 flags with tie-breaking
-  const top3Flags = identifyTop3WithTieBreaking(flagScores, flagDetails, TRIAGE_HIERARCHY, WITHIN_CATEGORY_HIERARCHY);
+  const top3Flags = identifyTop3WithTieBreaking(scoredFlagScores, flagDetails, TRIAGE_HIERARCHY, WITHIN_CATEGORY_HIERARCHY);
 
   // Categorize all flags by severity
   const severityCategories = categorizeAllFlagsBySeverity(flagDetails);
@@ -278,20 +1000,22 @@ function scoreTrustChallenges(assessmentData) {
   // Analyze relational density
   const densityAnalysis = analyzeDensity(top3Flags);
 
-  console.log('🏆 Top 3 Trust Challenges:', top3Flags.map(f => `${f.name} (${f.score})`));
+  logger.log('🏆 Top 3 Trust Challenges:', top3Flags.map(f => `${f.name} (${f.score})`));
 
   return {
     top3: top3Flags,
     allScores: flagScores,
     flagDetails: flagDetails,
     severityCategories: severityCategories,
+    excludedFlags: excludedFlags,
     densityPattern: densityAnalysis,
     summary: {
-      totalQuestions: 45,
+      totalQuestions: totalQuestions,
       questionsAnswered: responses.filter(r => r !== null).length,
-      averageScore: calculateAverage(Object.values(flagScores)),
-      highestScore: Math.max(...Object.values(flagScores)),
-      lowestScore: Math.min(...Object.values(flagScores))
+      averageScore: calculateAverage(Object.values(scoredFlagScores)),
+      highestScore: Math.max(...Object.values(scoredFlagScores)),
+      lowestScore: Math.min(...Object.values(scoredFlagScores)),
+      confidence: summarizeConfidence(flagDetails, responses)
     }
   };
 }
@@ -330,10 +1054,7 @@ function identifyTop3WithTieBreaking(flagScores, flagDetails, TRIAGE_HIERARCHY,
 }
 
 function categorizeSeverity(score) {
-  if (score >= 80) return 'Critical Pressure Points';
-  if (score >= 60) return 'Active Friction';
-  if (score >= 40) return 'Moderate Tension';
-  return 'Background Static';
+  return bandForScore(score, SCORING_PROFILE.severityBands);
 }
 
 function categorizeAllFlagsBySeverity(flagDetails) {
@@ -345,6 +1066,9 @@ function categorizeAllFlagsBySeverity(flagDetails) {
   };
 
   Object.entries(flagDetails).forEach(([name, details]) => {
+    // Flags excluded by the missing data policy have no severity
+    if (details.severity === null) return;
+
     categories[details.severity].push({
       name,
       score: details.indexScore,
@@ -403,64 +1127,17 @@ function analyzeDensity(top3Flags) {
 // TRUST STRENGTHS SCORING
 // =============================================================================
 
-function scoreTrustStrengths(assessmentData) {
-  console.log('💪 Starting Trust Strengths scoring...');
+function scoreTrustStrengths(assessmentData, instrument, logger = console) {
+  logger.log('💪 Starting Trust Strengths scoring...');
   
   const { responses, questions } = assessmentData;
   
-  // Define the 9 Trust Foundations (opposite of Red Flags)
-  const TRUST_FOUNDATIONS = {
-    'Authentic Presence': {
-      oppositeOf: 'Inauthenticity',
-      questionIndices: [0, 1, 2, 3, 4],
-      description: 'The courage to show up genuinely and create space for others to do the same'
-    },
-    'Constructive Energy': {
-      oppositeOf: 'Undercurrent of Negativity',
-      questionIndices: [5, 6, 7, 8, 9],
-      description: 'The ability to transform challenges into growth opportunities and maintain hope'
-    },
-    'Reliable Delivery': {
-      oppositeOf: 'Lack of Follow-Through',
-      questionIndices: [10, 11, 12, 13, 14],
-      description: 'Consistent follow-through that builds confidence and momentum'
-    },
-    'Courageous Growth': {
-      oppositeOf: 'Reluctance to Take on Challenges',
-      questionIndices: [15, 16, 17, 18, 19],
-      description: 'Embracing stretch opportunities and supporting others through uncertainty'
-    },
-    'Collaborative Power': {
-      oppositeOf: 'Excessive Self-Reliance',
-      questionIndices: [20, 21, 22, 23, 24],
-      description: 'Leveraging collective wisdom and celebrating interdependence'
-    },
-    'Empowered Autonomy': {
-      oppositeOf: 'Micromanaging',
-      questionIndices: [25, 26, 27, 28, 29],
-      description: 'Trusting others with outcomes while providing support for success'
-    },
-    'Emotional Wisdom': {
-      oppositeOf: 'Emotional Volatility',
-      questionIndices: [30, 31, 32, 33, 34],
-      description: 'Navigating emotions skillfully to deepen rather than derail relationships'
-    },
-    'Generous Transparency': {
-      oppositeOf: 'Information Hoarding',
-      questionIndices: [35, 36, 37, 38, 39],
-      description: 'Sharing knowledge and resources freely to multiply collective intelligence'
-    },
-    'Curious Expansion': {
-      oppositeOf: 'Closed-Mindedness',
-      questionIndices: [40, 41, 42, 43, 44],
-      description: 'Approaching different perspectives with genuine openness and learning orientation'
-    }
-  };
-
   // Calculate Foundation Strength using inverted logic
   const foundationScores = {};
   const foundationDetails = {};
 
+  const TRUST_FOUNDATIONS = instrument.trustFoundations;
+
   Object.entries(TRUST_FOUNDATIONS).forEach(([foundationName, foundationInfo]) => {
     const questionResponses = foundationInfo.questionIndices.map(index => {
       const response = responses[index];
@@ -470,7 +1147,7 @@ function scoreTrustStrengths(assessmentData) {
       // For Reverse-Scored Questions (marked with R): Use RAW response (higher = stronger)
       // For Regular Questions: Invert the score (lower dysfunction = higher strength)
       const isReverse = question?.reverseScored || false;
-      const strengthScore = isReverse ? response : (6 - response);
+      const strengthScore = response === null ? null : (isReverse ? response : (6 - response));
       
       return {
         questionIndex: index,
@@ -480,23 +1157,29 @@ function scoreTrustStrengths(assessmentData) {
       };
     });
 
-    // Calculate raw total (5-25 range)
-    const rawTotal = questionResponses.reduce((sum, q) => sum + q.strengthScore, 0);
+    // Calculate raw total (n-5n for n items), prorated when items were skipped
+    const rawTotal = prorateRawTotal(questionResponses.map(q => q.strengthScore));
+    const confidence = describeConfidence(
+      questionResponses.filter(q => q.originalResponse !== null).length,
+      questionResponses.length
+    );
     
-    // Convert to 0-100 index
-    const indexScore = Math.round(((rawTotal - 5) / 20) * 100);
+    // Convert to 0-100 index (null when there is too little data to score)
+    const indexScore = indexFromRawTotal(rawTotal, questionResponses.length);
     
     foundationScores[foundationName] = indexScore;
     foundationDetails[foundationName] = {
       indexScore: indexScore,
       rawTotal: rawTotal,
       questionResponses: questionResponses,
-      strengthLevel: categorizeStrengthLevel(indexScore),
-      description: foundationInfo.description
+      strengthLevel: indexScore === null ? null : categorizeStrengthLevel(indexScore),
+      description: foundationInfo.description,
+      bridgePotential: foundationInfo.bridgePotential,
+      confidence: confidence
     };
   });
 
-  console.log('🏗️ Foundation scores calculated:', Object.entries(foundationScores).map(([name, score]) => `${name}: ${score}`));
+  logger.log('🏗️ Foundation scores calculated:', Object.entries(foundationScores).map(([name, score]) => `${name}: ${score}`));
 
   // Identify Trust Architecture
   const trustArchitecture = identifyTrustArchitecture(foundationDetails);
@@ -507,7 +1190,7 @@ function scoreTrustStrengths(assessmentData) {
   // Trust Bridges (where strength meets struggle)
   const trustBridges = identifyTrustBridges(foundationDetails);
 
-  console.log('🎯 Trust Architecture:', {
+  logger.log('🎯 Trust Architecture:', {
     cornerstone: trustArchitecture.cornerstone.length,
     solid: trustArchitecture.solid.length,
     emerging: trustArchitecture.emerging.length,
@@ -521,8 +1204,9 @@ function scoreTrustStrengths(assessmentData) {
     patternAnalysis: patternAnalysis,
     trustBridges: trustBridges,
     summary: {
-      totalFoundations: 9,
-      averageStrength: calculateAverage(Object.values(foundationScores)),
+      totalFoundations: Object.keys(TRUST_FOUNDATIONS).length,
+      averageStrength: calculateAverage(Object.values(foundationScores).filter(score => score !== null)),
+      confidence: summarizeConfidence(foundationDetails, responses),
       strongestFoundation: getStrongestFoundation(foundationDetails),
       trustSignature: trustArchitecture.cornerstone.slice(0, 3) // Top 3 strongest
     }
@@ -530,21 +1214,21 @@ function scoreTrustStrengths(assessmentData) {
 }
 
 function categorizeStrengthLevel(score) {
-  if (score >= 80) return 'Cornerstone';
-  if (score >= 60) return 'Solid';
-  if (score >= 40) return 'Emerging';
-  return 'Fragile';
+  return bandForScore(score, SCORING_PROFILE.strengthBands);
 }
 
 function identifyTrustArchitecture(foundationDetails) {
   const architecture = {
-    cornerstone: [], // 80-100: Superpowers
-    solid: [],       // 60-79: Reliable patterns
-    emerging: [],    // 40-59: Growth potential
-    fragile: []      // 0-39: Needs foundational work
+    cornerstone: [], // Superpowers
+    solid: [],       // Reliable patterns
+    emerging: [],    // Growth potential
+    fragile: []      // Needs foundational work
   };
 
   Object.entries(foundationDetails).forEach(([name, details]) => {
+    // Foundations excluded by the missing data policy are not placed
+    if (details.strengthLevel === null) return;
+
     const foundationInfo = {
       name,
       score: details.indexScore,
@@ -640,7 +1324,7 @@ function identifyTrustBridges(foundationDetails) {
       bridges.push({
         foundation: name,
         score: details.indexScore,
-        bridgePotential: getBridgePotential(name, details.indexScore)
+        bridgePotential: details.bridgePotential || 'Can support overall trust development'
       });
     }
   });
@@ -659,23 +1343,6 @@ function getGuidanceForLevel(level, foundationName) {
   return guidance[level] || 'Continue developing this foundation.';
 }
 
-function getBridgePotential(foundationName, score) {
-  // Map which foundations can best support others
-  const bridgeMap = {
-    'Authentic Presence': 'Can create safety for vulnerability and honest feedback',
-    'Constructive Energy': 'Can transform challenges into growth opportunities',
-    'Reliable Delivery': 'Can build confidence for taking larger risks',
-    'Courageous Growth': 'Can inspire others to embrace stretch opportunities',
-    'Collaborative Power': 'Can reduce isolation and increase collective intelligence',
-    'Empowered Autonomy': 'Can reduce micromanagement while maintaining support',
-    'Emotional Wisdom': 'Can create stability for difficult conversations',
-    'Generous Transparency': 'Can build trust through open information sharing',
-    'Curious Expansion': 'Can create openness to new ideas and approaches'
-  };
-
-  return bridgeMap[foundationName] || 'Can support overall trust development';
-}
-
 function getStrongestFoundation(foundationDetails) {
   let strongest = { name: '', score: 0 };
   
@@ -692,14 +1359,14 @@ function getStrongestFoundation(foundationDetails) {
 // PATTERN ANALYSIS
 // =============================================================================
 
-function analyzePatterns(challengeResults, strengthResults) {
-  console.log('🔗 Analyzing patterns between challenges and strengths...');
+function analyzePatterns(challengeResults, strengthResults, instrument, logger = console) {
+  logger.log('🔗 Analyzing patterns between challenges and strengths...');
 
   // Generate combination key for the top 3 challenges
   const combinationKey = generateCombinationKey(challengeResults.top3);
   
   // Analyze challenge-strength relationships
-  const relationships = analyzeRelationships(challengeResults, strengthResults);
+  const relationships = analyzeRelationships(challengeResults, strengthResults, instrument.oppositeMap);
   
   // Identify compensating patterns
   const compensationPatterns = identifyCompensationPatterns(challengeResults, strengthResults);
@@ -710,7 +1377,7 @@ function analyzePatterns(challengeResults, strengthResults) {
   // Generate insight summary
   const insights = generateInsights(challengeResults, strengthResults, relationships);
 
-  console.log('🎯 Pattern analysis complete:', {
+  logger.log('🎯 Pattern analysis complete:', {
     combinationKey,
     relationshipCount: relationships.length,
     compensationPatterns: compensationPatterns.length,
@@ -732,38 +1399,21 @@ function analyzePatterns(challengeResults, strengthResults) {
 }
 
 function generateCombinationKey(top3Challenges) {
-  // Create a unique key for the top 3 challenge combination
-  const sortedNames = top3Challenges
-    .map(challenge => challenge.name.replace(/\s+/g, ''))
-    .sort()
-    .join('-');
-  
-  return sortedNames;
+  // Create a unique key for the top 3 challenge combination (the narrative library's key)
+  return combinationKeyFor(top3Challenges.map(challenge => challenge.name));
 }
 
-function analyzeRelationships(challengeResults, strengthResults) {
+function analyzeRelationships(challengeResults, strengthResults, oppositeMap) {
   const relationships = [];
   
-  // Map opposite pairs (challenge -> strength)
-  const oppositeMap = {
-    'Inauthenticity': 'Authentic Presence',
-    'Undercurrent of Negativity': 'Constructive Energy', 
-    'Lack of Follow-Through': 'Reliable Delivery',
-    'Reluctance to Take on Challenges': 'Courageous Growth',
-    'Excessive Self-Reliance': 'Collaborative Power',
-    'Micromanaging': 'Empowered Autonomy',
-    'Emotional Volatility': 'Emotional Wisdom',
-    'Information Hoarding': 'Generous Transparency',
-    'Closed-Mindedness': 'Curious Expansion'
-  };
-
   // Analyze each challenge-strength pair
   challengeResults.top3.forEach(challenge => {
+    // Map opposite pairs (challenge -> strength)
     const oppositeStrength = oppositeMap[challenge.name];
     const strengthScore = strengthResults.allScores[oppositeStrength];
     const strengthDetails = strengthResults.foundationDetails[oppositeStrength];
     
-    if (strengthScore !== undefined) {
+    if (strengthScore !== undefined && strengthScore !== null) {
       const relationship = {
         challenge: {
           name: challenge.name,
@@ -898,17 +1548,18 @@ function generateInsights(challengeResults, strengthResults, relationships) {
 function calculateTension(challengeScore, strengthScore) {
   const difference = Math.abs(challengeScore - strengthScore);
   
-  if (difference >= 40) return 'high';
-  if (difference >= 20) return 'medium';
+  if (difference >= SCORING_PROFILE.tension.high) return 'high';
+  if (difference >= SCORING_PROFILE.tension.medium) return 'medium';
   return 'low';
 }
 
 function generateRelationshipInsight(challenge, strengthName, strengthScore) {
   const scoreDiff = strengthScore - challenge.score;
+  const { margin } = SCORING_PROFILE.relationshipInsight;
   
-  if (scoreDiff > 20) {
+  if (scoreDiff > margin) {
     return `Your ${strengthName} (${strengthScore}) provides a strong foundation to address ${challenge.name} (${challenge.score})`;
-  } else if (scoreDiff < -20) {
+  } else if (scoreDiff < -margin) {
     return `${challenge.name} (${challenge.score}) is overwhelming your ${strengthName} (${strengthScore}) - this requires focused attention`;
   } else {
     return `${challenge.name} and ${strengthName} are in tension (${challenge.score} vs ${strengthScore}) - balanced approach needed`;
@@ -925,30 +1576,238 @@ function checkCompensationDynamic(strength, challenge) {
   };
 
   return compensationMap[strength.name]?.includes(challenge.name) && 
-         strength.score > 80 && 
-         challenge.score > 60;
+         strength.score > SCORING_PROFILE.compensation.strengthAbove && 
+         challenge.score > SCORING_PROFILE.compensation.challengeAbove;
 }
 
 function generateCompensationInsight(strength, challenge) {
   return `Your high ${strength.name} (${strength.score}) may be overcompensating for ${challenge.name} (${challenge.score}), creating internal tension`;
 }
 
+// =============================================================================
+// TEAM PERCEPTION
+// =============================================================================
+
+// Members' latest completed submissions, each scored with the same code used
+// for individual reports and combined into team-level scores. The leader's
+// record is the one the team was created with, never one found by role.
+async function buildTeamAggregate(team) {
+  const records = await listSubmissions({ teamCode: team.code, status: 'completed' });
+
+  // Newest first, so a member's retake replaces their earlier answers
+  const seen = new Set();
+  const members = records.filter(record => {
+    if (record.respondentRole !== 'member' || seen.has(record.email)) return false;
+    seen.add(record.email);
+    return true;
+  });
+
+  const respondents = members.map(record => {
+    const { instrument } = resolveInstrument(record.assessmentData.instrumentVersion);
+    return {
+      challengeScores: scoreTrustChallenges(record.assessmentData, instrument).allScores,
+      strengthScores: scoreTrustStrengths(record.assessmentData, instrument).allScores
+    };
+  });
+
+  const leaderRecord = team.leaderSubmissionId ? await getSubmission(team.leaderSubmissionId) : null;
+
+  return {
+    memberCount: members.length,
+    leaderRecord: leaderRecord?.status === 'completed' ? leaderRecord : null,
+    aggregate: aggregateTeamScores(respondents, SCORING_PROFILE)
+  };
+}
+
+// Once enough members have answered, re-score the leader's own submission
+// with the team's view alongside and send that report on. Goes out once per
+// team; the team report page keeps showing the live comparison afterwards.
+// deliveryConfig carries processSubmission's delivery overrides.
+async function deliverTeamPerceptionReport(teamCode, deliveryConfig) {
+  try {
+    const team = await getTeam(teamCode);
+    if (!team || team.perceptionReport) return null;
+
+    const { aggregate, leaderRecord } = await buildTeamAggregate(team);
+    if (!aggregate.available || !leaderRecord) return null;
+
+    console.log(`👥 Team ${teamCode} reached ${aggregate.respondentCount} responses - building perception report`);
+    const { vectorShiftPayload } = scoreSubmission(leaderRecord.submission, {
+      teamAggregate: aggregate,
+      previous: await findPreviousAssessment(leaderRecord),
+      assessedAt: leaderRecord.receivedAt
+    });
+
+    // A distinct key, so the pipeline doesn't treat it as a repeat of the solo report
+    const delivery = await deliverPayload(vectorShiftPayload, {
+      idempotencyKey: `${generateIdempotencyKey(vectorShiftPayload, leaderRecord.id)}-team-${teamCode}`,
+      config: deliveryConfig
+    });
+
+    await updateSubmission(leaderRecord.id, {
+      teamResult: {
+        generatedAt: new Date().toISOString(),
+        respondentCount: aggregate.respondentCount,
+        data: vectorShiftPayload,
+        delivery: summarizeDelivery(delivery)
+      }
+    });
+    await updateTeam(teamCode, {
+      perceptionReport: {
+        leaderSubmissionId: leaderRecord.id,
+        respondentCount: aggregate.respondentCount,
+        delivered: delivery.delivered,
+        createdAt: new Date().toISOString()
+      }
+    });
+
+    return vectorShiftPayload;
+  } catch (error) {
+    // The member's own submission is already safely scored; don't fail it
+    console.error(`❌ Team perception report for ${teamCode} failed:`, error);
+    return null;
+  }
+}
+
+function leaderScoresFromResults(challengeResults, strengthResults) {
+  return {
+    redFlags: challengeResults.allScores,
+    foundations: strengthResults.allScores,
+    top3: challengeResults.top3.map(challenge => challenge.name)
+  };
+}
+
+// Same shape, read back from a stored payload (team report page)
+function leaderScoresFromPayload(payload) {
+  return {
+    redFlags: payload.trustChallenges.allScores,
+    foundations: payload.trustStrengths.allScores,
+    top3: payload.trustChallenges.top3.map(challenge => challenge.name)
+  };
+}
+
+// Gaps are team mean minus the leader's score, so a positive gap on a red
+// flag means the team sees more of it than the leader does:
+//   blind spot            flag:       team sees it, leader doesn't
+//   over-concern          flag:       leader worries more than the team
+//   hidden strength       foundation: team sees it, leader doesn't
+//   overestimated         foundation: leader rates it higher than the team
+function analyzePerceptionGaps(leaderScores, teamAggregate, instrument) {
+  if (!teamAggregate.available) {
+    return { available: false, reason: teamAggregate.reason };
+  }
+
+  const { threshold } = SCORING_PROFILE.perceptionGap;
+  const redFlags = compareScales(leaderScores.redFlags, teamAggregate.redFlags, threshold, ['blind_spot', 'over_concern']);
+  const foundations = compareScales(leaderScores.foundations, teamAggregate.foundations, threshold, ['hidden_strength', 'overestimated']);
+
+  const byGap = (direction, scales) => Object.entries(scales)
+    .filter(([, comparison]) => comparison.direction === direction)
+    .map(([name, comparison]) => ({ name, ...comparison }))
+    .sort((a, b) => Math.abs(b.gap) - Math.abs(a.gap));
+
+  // A blind spot whose opposite foundation the leader also overrates is
+  // the same gap seen from both sides
+  const blindSpots = byGap('blind_spot', redFlags).map(flag => {
+    const oppositeFoundation = instrument.oppositeMap[flag.name];
+    return {
+      ...flag,
+      oppositeFoundation,
+      reinforcedByFoundation: foundations[oppositeFoundation]?.direction === 'overestimated'
+    };
+  });
+
+  // The team's own top challenges, read through the usual challenge/foundation lens
+  const teamTop3 = teamAggregate.highestFlags.map(flag => ({ name: flag.name, score: flag.mean, details: { severity: flag.band } }));
+  const teamRelationships = analyzeRelationships(
+    { top3: teamTop3 },
+    { allScores: meanScores(teamAggregate.foundations), foundationDetails: {} },
+    instrument.oppositeMap
+  );
+
+  const gaps = [...Object.values(redFlags), ...Object.values(foundations)]
+    .map(comparison => comparison.gap)
+    .filter(gap => gap !== null);
+  const meanAbsoluteGap = gaps.length > 0
+    ? Math.round(gaps.reduce((sum, gap) => sum + Math.abs(gap), 0) / gaps.length)
+    : null;
+
+  return {
+    available: true,
+    respondentCount: teamAggregate.respondentCount,
+    threshold,
+    teamAgreement: teamAggregate.overallAgreement?.level || null,
+    redFlags,
+    foundations,
+    blindSpots,
+    overConcerns: byGap('over_concern', redFlags),
+    hiddenStrengths: byGap('hidden_strength', foundations),
+    overestimatedStrengths: byGap('overestimated', foundations),
+    teamTop3: teamTop3.map(flag => flag.name),
+    unrecognizedTeamChallenges: teamTop3.map(flag => flag.name).filter(name => !leaderScores.top3.includes(name)),
+    teamRelationships,
+    alignment: {
+      meanAbsoluteGap,
+      level: describeAlignment(meanAbsoluteGap, threshold)
+    }
+  };
+}
+
+function compareScales(leaderScores, teamScales, threshold, [teamHigherLabel, leaderHigherLabel]) {
+  const comparisons = {};
+
+  Object.entries(teamScales).forEach(([name, stats]) => {
+    const leader = leaderScores[name] ?? null;
+    const team = stats.mean;
+
+    if (leader === null || team === null) {
+      comparisons[name] = { leader, team, gap: null, direction: null, teamAgreement: stats.agreementLevel };
+      return;
+    }
+
+    const gap = team - leader;
+    let direction = 'aligned';
+    if (gap >= threshold) direction = teamHigherLabel;
+    if (gap <= -threshold) direction = leaderHigherLabel;
+
+    comparisons[name] = { leader, team, gap, direction, teamAgreement: stats.agreementLevel };
+  });
+
+  return comparisons;
+}
+
+function describeAlignment(meanAbsoluteGap, threshold) {
+  if (meanAbsoluteGap === null) return null;
+  if (meanAbsoluteGap < threshold / 2) return 'close';
+  if (meanAbsoluteGap < threshold) return 'partial';
+  return 'distant';
+}
+
+function meanScores(scales) {
+  return Object.fromEntries(Object.entries(scales).map(([name, stats]) => [name, stats.mean]));
+}
+
 // =============================================================================
 // VECTORSHIFT FORMATTING
 // =============================================================================
 
-function formatForVectorShift(data) {
-  const { personalInfo, challengeResults, strengthResults, patternAnalysis, rawData } = data;
+function formatForVectorShift(data, logger = console) {
+  const { personalInfo, challengeResults, strengthResults, patternAnalysis, responseQuality, timingAnalytics, normativeScores, perceptionGaps, trend, rawData } = data;
 
-  console.log('📤 Formatting data for VectorShift pipeline...');
+  logger.log('📤 Formatting data for VectorShift pipeline...');
 
   // Format participant information
   const participant = {
     name: personalInfo.name,
     email: personalInfo.email,
     company: personalInfo.company,
+    industry: personalInfo.industry,
+    teamSize: personalInfo.teamSize,
+    teamCode: personalInfo.teamCode,
+    respondentRole: personalInfo.respondentRole,
     submissionDate: personalInfo.submissionDate,
-    assessmentVersion: 'v5'
+    assessmentVersion: rawData.instrumentVersion,
+    migratedFromVersion: rawData.migratedFrom
   };
 
   // Format trust challenges data
@@ -958,18 +1817,24 @@ function formatForVectorShift(data) {
       score: challenge.score,
       severity: challenge.details?.severity || categorizeScore(challenge.score),
       category: challenge.category,
-      rank: challengeResults.top3.indexOf(challenge) + 1
+      rank: challengeResults.top3.indexOf(challenge) + 1,
+      confidence: challenge.details?.confidence?.level
     })),
     
     allScores: challengeResults.allScores,
     
+    normative: normativeScores?.applied ? normativeScores.redFlags : null,
+    
     severityBreakdown: {
       critical: challengeResults.severityCategories['Critical Pressure Points']?.length || 0,
       active: challengeResults.severityCategories['Active Friction']?.length || 0,
       moderate: challengeResults.severityCategories['Moderate Tension']?.length || 0,
-      background: challengeResults.severityCategories['Background Static']?.length || 0
+      background: challengeResults.severityCategories['Background Static']?.length || 0,
+      excluded: challengeResults.excludedFlags.length
     },
     
+    excludedFlags: challengeResults.excludedFlags,
+    
     densityPattern: {
       type: challengeResults.densityPattern.type,
       description: challengeResults.densityPattern.description,
@@ -1012,6 +1877,8 @@ function formatForVectorShift(data) {
     
     allScores: strengthResults.allScores,
     
+    normative: normativeScores?.applied ? normativeScores.foundations : null,
+    
     patternAnalysis: strengthResults.patternAnalysis,
     
     trustBridges: strengthResults.trustBridges,
@@ -1050,7 +1917,12 @@ function formatForVectorShift(data) {
     intensityProfile: determineIntensityProfile(challengeResults),
     narrativeParameters: generateNarrativeParameters(challengeResults, strengthResults),
     recommendationLevel: determineRecommendationLevel(patternAnalysis.trustLandscape),
-    customSections: generateCustomSections(challengeResults, strengthResults, patternAnalysis)
+    customSections: generateCustomSections(challengeResults, strengthResults, patternAnalysis),
+    combinationNarrative: getCombinationNarrative(NARRATIVE_LIBRARY, patternAnalysis.combinationKey),
+    scoringProfile: SCORING_PROFILE,
+    norms: normativeScores
+      ? { applied: normativeScores.applied, table: normativeScores.table, reason: normativeScores.reason }
+      : { applied: false, reason: 'No norms table configured' }
   };
 
   // Compile comprehensive payload for VectorShift
@@ -1060,6 +1932,10 @@ function formatForVectorShift(data) {
     trustStrengths,
     patternAnalysis: patternInsights,
     reportMetadata,
+    responseQuality,
+    timingAnalytics,
+    teamPerception: perceptionGaps,
+    trend,
     
     // Additional context for AI processing
     processingHints: {
@@ -1067,19 +1943,24 @@ function formatForVectorShift(data) {
       toneGuidance: determineToneGuidance(challengeResults.severityCategories),
       strengthLeverage: identifyStrengthLeverage(strengthResults),
       urgencyLevel: determineUrgencyLevel(challengeResults.severityCategories),
-      hopeFactors: identifyHopeFactors(strengthResults.trustArchitecture)
+      hopeFactors: identifyHopeFactors(strengthResults.trustArchitecture),
+      responseQualityGuidance: determineResponseQualityGuidance(responseQuality),
+      perceptionGaps: determinePerceptionGapGuidance(perceptionGaps),
+      progress: determineProgressGuidance(trend)
     },
     
     // Raw data backup
     rawAssessmentData: {
       responses: rawData.responses,
       questionOrder: rawData.questionOrder,
-      totalQuestions: 45,
-      questionsAnswered: rawData.responses.filter(r => r !== null).length
+      totalQuestions: rawData.responses.length,
+      questionsAnswered: rawData.responses.filter(r => r !== null).length,
+      source: rawData.source,
+      timings: rawData.timings
     }
   };
 
-  console.log('✅ VectorShift payload formatted successfully');
+  logger.log('✅ VectorShift payload formatted successfully');
 
   return vectorShiftPayload;
 }
@@ -1143,7 +2024,7 @@ function determinePrimaryFocus(challengeResults, strengthResults) {
   const topChallenge = challengeResults.top3[0];
   const topStrength = strengthResults.trustArchitecture.cornerstone[0];
   
-  if (topChallenge.score >= 80) {
+  if (categorizeSeverity(topChallenge.score) === 'Critical Pressure Points') {
     return `Address critical ${topChallenge.name} using ${topStrength?.name || 'available strengths'}`;
   }
   
@@ -1178,6 +2059,64 @@ function determineUrgencyLevel(severityCategories) {
   return 'low';
 }
 
+function determineResponseQualityGuidance(responseQuality) {
+  // Tells the narrative how firmly to state conclusions
+  switch (responseQuality.flag) {
+    case 'unreliable': return { stance: 'tentative', caveats: responseQuality.caveats };
+    case 'caution': return { stance: 'softened', caveats: responseQuality.caveats };
+    default: return { stance: 'confident', caveats: [] };
+  }
+}
+
+function determinePerceptionGapGuidance(perceptionGaps) {
+  // Tells the narrative where the leader's view and the team's part ways
+  if (!perceptionGaps?.available) return null;
+
+  const names = list => list.map(entry => entry.name);
+  let framing = 'affirm_shared_view';
+  if (perceptionGaps.blindSpots.length > 0) framing = 'surface_blind_spots';
+  else if (perceptionGaps.hiddenStrengths.length > 0) framing = 'reveal_hidden_strengths';
+  else if (perceptionGaps.overConcerns.length > 0) framing = 'ease_over_concern';
+
+  return {
+    framing,
+    alignment: perceptionGaps.alignment.level,
+    teamAgreement: perceptionGaps.teamAgreement,
+    respondentCount: perceptionGaps.respondentCount,
+    blindSpots: names(perceptionGaps.blindSpots),
+    reinforcedBlindSpots: names(perceptionGaps.blindSpots.filter(spot => spot.reinforcedByFoundation)),
+    hiddenStrengths: names(perceptionGaps.hiddenStrengths),
+    overestimatedStrengths: names(perceptionGaps.overestimatedStrengths),
+    overConcerns: names(perceptionGaps.overConcerns),
+    unrecognizedTeamChallenges: perceptionGaps.unrecognizedTeamChallenges
+  };
+}
+
+function determineProgressGuidance(trend) {
+  // Tells the narrative how to frame a retake against the previous assessment
+  if (!trend?.available) return null;
+
+  const framing = {
+    improving: 'celebrate_progress',
+    mixed: 'acknowledge_mixed_progress',
+    declining: 'address_setbacks',
+    steady: 'encourage_persistence'
+  }[trend.overall.direction];
+
+  return {
+    framing,
+    direction: trend.overall.direction,
+    assessmentNumber: trend.assessmentNumber,
+    daysSincePrevious: trend.daysSincePrevious,
+    improved: trend.improved.map(change => change.name),
+    worsened: trend.worsened.map(change => change.name),
+    bandImprovements: trend.bandChanges.filter(change => change.movement === 'improved').map(change => change.name),
+    bandSetbacks: trend.bandChanges.filter(change => change.movement === 'worsened').map(change => change.name),
+    resolvedTopChallenges: trend.top3.resolved,
+    emergingTopChallenges: trend.top3.emerged
+  };
+}
+
 function identifyHopeFactors(trustArchitecture) {
   return {
     cornerstoneCount: trustArchitecture.cornerstone.length,
@@ -1188,10 +2127,7 @@ function identifyHopeFactors(trustArchitecture) {
 }
 
 function categorizeScore(score) {
-  if (score >= 80) return 'Critical Pressure Points';
-  if (score >= 60) return 'Active Friction';
-  if (score >= 40) return 'Moderate Tension';
-  return 'Background Static';
+  return bandForScore(score, SCORING_PROFILE.severityBands);
 }
 
 function determineOpeningTone(severityCategories) {
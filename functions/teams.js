@@ -0,0 +1,194 @@
+// Trust Foundation Check - Team Mode
+// POST /.netlify/functions/teams
+//   { teamName, leader: { name, email, company }, leaderSubmissionId? }
+//   Creates a team and returns its code (for members) and leader key (for the report).
+// GET /.netlify/functions/teams?code=XXXXXXXX
+//   Public team details, shown to members before they start.
+// GET /.netlify/functions/teams?code=XXXXXXXX with X-Leader-Key: <leader key>
+//   Adds the team report: member scores aggregated per flag and foundation,
+//   and how the leader's own scores compare. Individual member answers are
+//   never returned. The key travels in a header so it stays out of URLs and
+//   request logs; the leader's page link keeps it in the fragment.
+
+const { resolveInstrument } = require('./lib/instruments');
+const { loadScoringProfile } = require('./lib/scoring-profile');
+const { getSubmission, updateSubmission, normalizeEmail } = require('./lib/submission-store');
+const { createTeam, getTeam, verifyLeaderKey, describeTeam } = require('./lib/teams');
+const { EMAIL_PATTERN, createValidationError } = require('./lib/validation');
+const { buildTeamAggregate, analyzePerceptionGaps, leaderScoresFromPayload } = require('./score-assessment');
+
+const SCORING_PROFILE = loadScoringProfile();
+
+const MAX_TEAM_NAME_LENGTH = 120;
+
+exports.handler = async (event, context) => {
+  const headers = {
+    'Access-Control-Allow-Origin': '*',
+    'Content-Type': 'application/json',
+    'Cache-Control': 'no-store'
+  };
+
+  // Handle CORS preflight requests
+  if (event.httpMethod === 'OPTIONS') {
+    return {
+      statusCode: 200,
+      headers: {
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Headers': 'Content-Type, X-Leader-Key',
+        'Access-Control-Allow-Methods': 'GET, POST, OPTIONS'
+      },
+      body: ''
+    };
+  }
+
+  try {
+    if (event.httpMethod === 'POST') {
+      const created = await handleCreateTeam(event.body);
+      return { statusCode: 201, headers, body: JSON.stringify({ success: true, ...created }) };
+    }
+
+    if (event.httpMethod === 'GET') {
+      const params = event.queryStringParameters || {};
+      const team = await getTeam(params.code);
+
+      if (!team) {
+        return {
+          statusCode: 404,
+          headers,
+          body: JSON.stringify({ success: false, error: 'Team not found' })
+        };
+      }
+
+      const requestHeaders = event.headers || {};
+      const leaderKey = requestHeaders['x-leader-key'] ?? requestHeaders['X-Leader-Key'];
+
+      if (leaderKey === undefined) {
+        return { statusCode: 200, headers, body: JSON.stringify({ success: true, team: describeTeam(team) }) };
+      }
+
+      if (!verifyLeaderKey(team, leaderKey)) {
+        return {
+          statusCode: 403,
+          headers,
+          body: JSON.stringify({ success: false, error: 'Leader key does not match this team' })
+        };
+      }
+
+      const report = await buildTeamReport(team);
+      return { statusCode: 200, headers, body: JSON.stringify({ success: true, team: describeTeam(team), report }) };
+    }
+
+    return {
+      statusCode: 405,
+      headers,
+      body: JSON.stringify({ success: false, error: 'Method not allowed' })
+    };
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      console.warn('⚠️ Team request rejected:', error.validationErrors);
+
+      return {
+        statusCode: 400,
+        headers,
+        body: JSON.stringify({ success: false, error: error.message, errors: error.validationErrors })
+      };
+    }
+
+    console.error('❌ Team error:', error);
+
+    return {
+      statusCode: 500,
+      headers,
+      body: JSON.stringify({ success: false, error: error.message })
+    };
+  }
+};
+
+// =============================================================================
+// TEAM CREATION
+// =============================================================================
+
+async function handleCreateTeam(body) {
+  let request;
+  try {
+    request = JSON.parse(body || '');
+  } catch (error) {
+    throw createValidationError([{ field: 'body', code: 'invalid_json', message: 'Request body is not valid JSON' }]);
+  }
+
+  const problems = [];
+  const leader = request?.leader || {};
+  const teamName = typeof request?.teamName === 'string' ? request.teamName.trim() : '';
+
+  if (!teamName) {
+    problems.push({ field: 'teamName', code: 'required', message: 'teamName is required' });
+  } else if (teamName.length > MAX_TEAM_NAME_LENGTH) {
+    problems.push({ field: 'teamName', code: 'too_long', message: `teamName must be at most ${MAX_TEAM_NAME_LENGTH} characters` });
+  }
+  ['name', 'email', 'company'].forEach(key => {
+    if (typeof leader[key] !== 'string' || !leader[key].trim()) {
+      problems.push({ field: `leader.${key}`, code: 'required', message: `${key} is required` });
+    }
+  });
+  if (typeof leader.email === 'string' && leader.email.trim() && !EMAIL_PATTERN.test(leader.email.trim())) {
+    problems.push({ field: 'leader.email', code: 'invalid_format', message: 'email is not a valid email address' });
+  }
+
+  // The leader's own assessment joins the team only if it is really theirs
+  let leaderSubmission = null;
+  if (request?.leaderSubmissionId != null) {
+    leaderSubmission = await getSubmission(request.leaderSubmissionId);
+    if (!leaderSubmission || leaderSubmission.email !== normalizeEmail(leader.email)) {
+      problems.push({ field: 'leaderSubmissionId', code: 'not_found', message: 'No submission with this ID belongs to the leader' });
+    } else if (leaderSubmission.teamCode) {
+      problems.push({ field: 'leaderSubmissionId', code: 'already_linked', message: 'This submission already belongs to a team' });
+    }
+  }
+
+  if (problems.length > 0) {
+    throw createValidationError(problems);
+  }
+
+  const { team, leaderKey } = await createTeam({
+    name: teamName,
+    leader,
+    leaderSubmissionId: leaderSubmission?.id || null
+  });
+
+  if (leaderSubmission) {
+    await updateSubmission(leaderSubmission.id, { teamCode: team.code, respondentRole: 'leader' });
+  }
+
+  console.log(`👥 Team ${team.code} created for ${team.leader.company}`);
+
+  return {
+    team: describeTeam(team),
+    leaderKey,
+    joinUrl: `/?team=${team.code}`,
+    reportUrl: `/?teamReport=${team.code}#key=${leaderKey}`
+  };
+}
+
+// =============================================================================
+// TEAM REPORT
+// =============================================================================
+
+async function buildTeamReport(team) {
+  const { memberCount, leaderRecord, aggregate } = await buildTeamAggregate(team);
+
+  let perceptionGaps = null;
+  if (leaderRecord) {
+    const { instrument } = resolveInstrument(leaderRecord.assessmentData.instrumentVersion);
+    perceptionGaps = analyzePerceptionGaps(leaderScoresFromPayload(leaderRecord.result.data), aggregate, instrument);
+  }
+
+  return {
+    generatedAt: new Date().toISOString(),
+    memberCount,
+    leaderSubmitted: !!leaderRecord,
+    scoringProfile: { name: SCORING_PROFILE.name, version: SCORING_PROFILE.version },
+    aggregate,
+    perceptionGaps
+  };
+}
@@ -0,0 +1,217 @@
+// Trust Foundation Check - Charts
+// SVG charts of the nine red flags and their opposite foundations:
+//   radarChart        nine-axis radar, red flags overlaid with foundations
+//   categoryBarChart  grouped bars per CONCEAL / CONTROL / CONTAMINATE / COLLAPSE
+// Both return SVG markup as a string, so the same code draws the results
+// screen (window.TrustCharts) and the server-rendered report (require()).
+// radarGeometry exposes the radar's layout for renderers that can't use SVG.
+//
+// scores: { redFlags, foundations } - the allScores maps from the payload.
+// instrument: the instrument definition (shared/instrument.js).
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.TrustCharts = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  const COLORS = {
+    redFlag: '#F58357',
+    foundation: '#11ACD0',
+    grid: '#E0E6E8',
+    label: '#414042',
+    muted: '#888888'
+  };
+
+  const FONT_FAMILY = "-apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif";
+
+  // Axis labels longer than this are split over two lines
+  const LABEL_LINE_LENGTH = 18;
+
+  // Gap between the outer ring and an axis label
+  const LABEL_OFFSET = 16;
+
+  // =============================================================================
+  // RADAR
+  // =============================================================================
+
+  // Points are in a width x height box with the origin top-left. A score the
+  // participant left unscored is drawn at the centre and flagged on its axis.
+  function radarGeometry(scores, instrument, options) {
+    const settings = Object.assign({ width: 520, height: 400, radius: 130 }, options);
+    const center = { x: settings.width / 2, y: settings.height / 2 };
+    const flagNames = Object.keys(instrument.redFlags);
+    const step = (Math.PI * 2) / flagNames.length;
+
+    const pointAt = (angle, value) => ({
+      x: round(center.x + Math.cos(angle) * settings.radius * value / 100),
+      y: round(center.y + Math.sin(angle) * settings.radius * value / 100)
+    });
+
+    const axes = flagNames.map((name, index) => {
+      // First axis points straight up, then clockwise
+      const angle = -Math.PI / 2 + index * step;
+      const foundation = instrument.oppositeMap[name];
+      const redFlagScore = scores.redFlags[name];
+      const foundationScore = scores.foundations[foundation];
+      const labelPoint = pointAt(angle, 100 + LABEL_OFFSET * 100 / settings.radius);
+      const cos = Math.cos(angle);
+
+      return {
+        name,
+        foundation,
+        redFlagScore: typeof redFlagScore === 'number' ? redFlagScore : null,
+        foundationScore: typeof foundationScore === 'number' ? foundationScore : null,
+        end: pointAt(angle, 100),
+        label: {
+          x: labelPoint.x,
+          y: labelPoint.y,
+          anchor: Math.abs(cos) < 0.2 ? 'middle' : cos > 0 ? 'start' : 'end',
+          lines: splitLabel(name)
+        },
+        redFlagPoint: pointAt(angle, typeof redFlagScore === 'number' ? redFlagScore : 0),
+        foundationPoint: pointAt(angle, typeof foundationScore === 'number' ? foundationScore : 0)
+      };
+    });
+
+    return {
+      width: settings.width,
+      height: settings.height,
+      center,
+      rings: [25, 50, 75, 100].map(value => ({ value, points: flagNames.map((_, index) => pointAt(-Math.PI / 2 + index * step, value)) })),
+      axes,
+      redFlagPolygon: axes.map(axis => axis.redFlagPoint),
+      foundationPolygon: axes.map(axis => axis.foundationPoint)
+    };
+  }
+
+  function radarChart(scores, instrument, options) {
+    const geometry = radarGeometry(scores, instrument, options);
+    const legendY = geometry.height - 14;
+
+    const labels = geometry.axes.map(axis => {
+      const lines = axis.label.lines;
+      const firstLineY = axis.label.y - (lines.length - 1) * 6 + 4;
+      const unscored = axis.redFlagScore === null ? ' *' : '';
+      return `<text x="${axis.label.x}" y="${firstLineY}" text-anchor="${axis.label.anchor}" font-size="11" fill="${COLORS.label}">` +
+        lines.map((line, index) => `<tspan x="${axis.label.x}" dy="${index === 0 ? 0 : 12}">${escapeXml(line)}${index === lines.length - 1 ? unscored : ''}</tspan>`).join('') +
+        `<title>${escapeXml(`${axis.name}: ${formatScore(axis.redFlagScore)} · ${axis.foundation}: ${formatScore(axis.foundationScore)}`)}</title></text>`;
+    }).join('');
+
+    return svg(geometry.width, geometry.height, 'Radar chart of the nine red flags and their opposite foundations', [
+      geometry.rings.map(ring => `<polygon points="${formatPoints(ring.points)}" fill="none" stroke="${COLORS.grid}" stroke-width="1"/>`).join(''),
+      geometry.axes.map(axis => `<line x1="${geometry.center.x}" y1="${geometry.center.y}" x2="${axis.end.x}" y2="${axis.end.y}" stroke="${COLORS.grid}" stroke-width="1"/>`).join(''),
+      `<polygon points="${formatPoints(geometry.foundationPolygon)}" fill="${COLORS.foundation}" fill-opacity="0.25" stroke="${COLORS.foundation}" stroke-width="2"/>`,
+      `<polygon points="${formatPoints(geometry.redFlagPolygon)}" fill="${COLORS.redFlag}" fill-opacity="0.25" stroke="${COLORS.redFlag}" stroke-width="2"/>`,
+      labels,
+      legend(geometry.width / 2 - 110, legendY),
+      geometry.axes.some(axis => axis.redFlagScore === null)
+        ? `<text x="${geometry.width - 8}" y="${legendY + 4}" text-anchor="end" font-size="10" fill="${COLORS.muted}">* not enough answers to score</text>`
+        : ''
+    ]);
+  }
+
+  // =============================================================================
+  // GROUPED BARS
+  // =============================================================================
+
+  // Categories in triage order (most urgent first); within each, one pair of
+  // bars per red flag: the flag and its opposite foundation
+  function categoryBarChart(scores, instrument, options) {
+    const settings = Object.assign({ width: 560, labelWidth: 210 }, options);
+    const barArea = settings.width - settings.labelWidth - 40;
+    const categories = Object.keys(instrument.triageHierarchy)
+      .sort((a, b) => instrument.triageHierarchy[b] - instrument.triageHierarchy[a]);
+
+    const parts = [];
+    let y = 8;
+
+    categories.forEach(category => {
+      const flags = Object.keys(instrument.redFlags).filter(name => instrument.redFlags[name].category === category);
+      if (flags.length === 0) return;
+
+      parts.push(`<text x="0" y="${y + 12}" font-size="12" font-weight="600" fill="${COLORS.label}">${escapeXml(category)}</text>`);
+      y += 22;
+
+      flags.forEach(name => {
+        const foundation = instrument.oppositeMap[name];
+        parts.push(`<text x="0" y="${y + 10}" font-size="11" fill="${COLORS.label}">${escapeXml(name)}</text>`);
+        parts.push(`<text x="0" y="${y + 22}" font-size="10" fill="${COLORS.muted}">${escapeXml(foundation)}</text>`);
+        parts.push(bar(settings.labelWidth, y + 2, barArea, scores.redFlags[name], COLORS.redFlag));
+        parts.push(bar(settings.labelWidth, y + 14, barArea, scores.foundations[foundation], COLORS.foundation));
+        y += 30;
+      });
+
+      y += 6;
+    });
+
+    parts.push(legend(0, y + 8));
+    return svg(settings.width, y + 20, 'Red flag and foundation scores grouped by category', parts);
+  }
+
+  function bar(x, y, maxWidth, score, color) {
+    const scored = typeof score === 'number';
+    const width = scored ? round(maxWidth * Math.max(0, Math.min(100, score)) / 100) : 0;
+    return `<rect x="${x}" y="${y}" width="${maxWidth}" height="9" rx="2" fill="${COLORS.grid}"/>` +
+      `<rect x="${x}" y="${y}" width="${width}" height="9" rx="2" fill="${color}"/>` +
+      `<text x="${x + maxWidth + 6}" y="${y + 8}" font-size="10" fill="${COLORS.label}">${formatScore(score)}</text>`;
+  }
+
+  // =============================================================================
+  // SVG HELPERS
+  // =============================================================================
+
+  function svg(width, height, title, parts) {
+    return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${width} ${height}" width="100%" style="max-width: ${width}px;" ` +
+      `role="img" aria-label="${escapeXml(title)}" font-family="${escapeXml(FONT_FAMILY)}">` +
+      `<title>${escapeXml(title)}</title>${parts.join('')}</svg>`;
+  }
+
+  function legend(x, y) {
+    return `<rect x="${x}" y="${y - 8}" width="10" height="10" rx="2" fill="${COLORS.redFlag}"/>` +
+      `<text x="${x + 16}" y="${y + 1}" font-size="11" fill="${COLORS.label}">Red flags</text>` +
+      `<rect x="${x + 100}" y="${y - 8}" width="10" height="10" rx="2" fill="${COLORS.foundation}"/>` +
+      `<text x="${x + 116}" y="${y + 1}" font-size="11" fill="${COLORS.label}">Trust foundations</text>`;
+  }
+
+  function splitLabel(name) {
+    if (name.length <= LABEL_LINE_LENGTH) return [name];
+    const words = name.split(' ');
+    let best = 1;
+    for (let split = 1; split < words.length; split++) {
+      const first = words.slice(0, split).join(' ').length;
+      const current = words.slice(0, best).join(' ').length;
+      if (Math.abs(first - name.length / 2) < Math.abs(current - name.length / 2)) best = split;
+    }
+    return [words.slice(0, best).join(' '), words.slice(best).join(' ')];
+  }
+
+  function formatPoints(points) {
+    return points.map(point => `${point.x},${point.y}`).join(' ');
+  }
+
+  function formatScore(score) {
+    return typeof score === 'number' ? String(score) : '-';
+  }
+
+  function round(value) {
+    return Math.round(value * 10) / 10;
+  }
+
+  function escapeXml(value) {
+    return String(value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+
+  return {
+    colors: COLORS,
+    radarGeometry,
+    radarChart,
+    categoryBarChart
+  };
+});
@@ -0,0 +1,73 @@
+// Trust Foundation Check - Instrument Definition (v6 pilot)
+// A 36-item short form being piloted alongside v5: four items per red flag
+// instead of five, dropping each flag's "Hope Glimpse" item. Flags,
+// foundations and hierarchies are unchanged, so reports, narratives and
+// norms read the same; only the items and which of them make up each scale
+// differ.
+//
+// Items are taken from v5 by id (V5_ITEM_IDS) and renumbered 1-36. Each keeps
+// the v5 id it came from as `v5ItemId`, so answers can be compared across
+// the two forms.
+// Loaded by the scoring function via require(); a page running the pilot can
+// load it as a plain script after shared/instrument.js (window.TrustInstrumentV6).
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./instrument'));
+  } else {
+    root.TrustInstrumentV6 = factory(root.TrustInstrument);
+  }
+})(typeof self !== 'undefined' ? self : this, function (v5) {
+  const VERSION = 'v6';
+
+  // The v5 items kept, in v6 canonical order
+  const V5_ITEM_IDS = [
+    1, 2, 3, 4,       // Inauthenticity
+    6, 7, 8, 9,       // Undercurrent of Negativity
+    11, 12, 13, 14,   // Lack of Follow-Through
+    16, 17, 18, 19,   // Reluctance to Take on Challenges
+    21, 22, 23, 24,   // Excessive Self-Reliance
+    26, 27, 28, 29,   // Micromanaging
+    31, 32, 33, 34,   // Emotional Volatility
+    36, 37, 38, 39,   // Information Hoarding
+    41, 42, 43, 44    // Closed-Mindedness
+  ];
+
+  const QUESTIONS = V5_ITEM_IDS.map((v5ItemId, index) => {
+    const { id, ...item } = v5.questions[v5ItemId - 1];
+    return { id: index + 1, ...item, v5ItemId };
+  });
+
+  function indicesForFlag(flagName) {
+    return QUESTIONS
+      .map((question, index) => (question.category === flagName ? index : null))
+      .filter(index => index !== null);
+  }
+
+  const RED_FLAGS = {};
+  Object.entries(v5.redFlags).forEach(([flagName, flagInfo]) => {
+    RED_FLAGS[flagName] = {
+      category: flagInfo.category,
+      questionIndices: indicesForFlag(flagName)
+    };
+  });
+
+  const TRUST_FOUNDATIONS = {};
+  Object.entries(v5.trustFoundations).forEach(([foundationName, foundationInfo]) => {
+    TRUST_FOUNDATIONS[foundationName] = {
+      ...foundationInfo,
+      questionIndices: indicesForFlag(foundationInfo.oppositeOf)
+    };
+  });
+
+  return {
+    version: VERSION,
+    questions: QUESTIONS,
+    responseScale: v5.responseScale,
+    redFlags: RED_FLAGS,
+    trustFoundations: TRUST_FOUNDATIONS,
+    oppositeMap: v5.oppositeMap,
+    triageHierarchy: v5.triageHierarchy,
+    withinCategoryHierarchy: v5.withinCategoryHierarchy
+  };
+});
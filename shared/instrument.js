@@ -0,0 +1,486 @@
+// Trust Foundation Check - Instrument Definition
+// Single source of truth for the questions, reverse-scoring, red flag and
+// foundation membership, triage hierarchies and descriptions.
+// Loaded by index.html as a plain script (window.TrustInstrument) and by the
+// scoring function via require(), so the quiz and the scorer never drift.
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.TrustInstrument = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  const VERSION = 'v5';
+
+  // Rating scale shown to participants
+  const RESPONSE_SCALE = [
+    { value: 1, label: 'Never' },
+    { value: 2, label: 'Rarely' },
+    { value: 3, label: 'Sometimes' },
+    { value: 4, label: 'Often' },
+    { value: 5, label: 'Almost Always' }
+  ];
+
+  // The 45 items, in canonical order. `id` is the stable item identifier
+  // submitted with every response; `category` names the red flag it measures.
+  const QUESTIONS = [
+    // 1. Inauthenticity
+    {
+      id: 1,
+      text: "One or more team members' inability to let down their guard affects our ability to address real issues.",
+      reverseScored: false,
+      category: "Inauthenticity",
+      type: "Team behavior"
+    },
+    {
+      id: 2,
+      text: "I feel safe to express myself authentically with this team.",
+      reverseScored: true,
+      category: "Inauthenticity",
+      type: "Personal experience"
+    },
+    {
+      id: 3,
+      text: "Members of my team openly acknowledge when they don't have all the answers.",
+      reverseScored: true,
+      category: "Inauthenticity",
+      type: "Psychological Safety"
+    },
+    {
+      id: 4,
+      text: "Our team meetings conclude with surface agreement while deeper concerns remain unvoiced.",
+      reverseScored: false,
+      category: "Inauthenticity",
+      type: "Relational impact"
+    },
+    {
+      id: 5,
+      text: "Team members share personal challenges or mistakes without fear of judgment.",
+      reverseScored: true,
+      category: "Inauthenticity",
+      type: "Hope Glimpse"
+    },
+
+    // 2. Undercurrent of Negativity
+    {
+      id: 6,
+      text: "One or more team members' persistent complaints dominate our conversations.",
+      reverseScored: false,
+      category: "Undercurrent of Negativity",
+      type: "Team behavior"
+    },
+    {
+      id: 7,
+      text: "I find myself getting pulled into negative spirals during team interactions.",
+      reverseScored: false,
+      category: "Undercurrent of Negativity",
+      type: "Personal experience"
+    },
+    {
+      id: 8,
+      text: "Team members transform complaints into constructive suggestions.",
+      reverseScored: true,
+      category: "Undercurrent of Negativity",
+      type: "Psychological Safety"
+    },
+    {
+      id: 9,
+      text: "Our team's energy drains quickly when certain topics arise.",
+      reverseScored: false,
+      category: "Undercurrent of Negativity",
+      type: "Relational impact"
+    },
+    {
+      id: 10,
+      text: "We celebrate wins as enthusiastically as we discuss challenges.",
+      reverseScored: true,
+      category: "Undercurrent of Negativity",
+      type: "Hope Glimpse"
+    },
+
+    // 3. Lack of Follow-Through
+    {
+      id: 11,
+      text: "One or more team members' pattern of unfulfilled commitments erodes our collective reliability.",
+      reverseScored: false,
+      category: "Lack of Follow-Through",
+      type: "Team behavior"
+    },
+    {
+      id: 12,
+      text: "I hesitate to depend on agreements made in our team meetings.",
+      reverseScored: false,
+      category: "Lack of Follow-Through",
+      type: "Personal experience"
+    },
+    {
+      id: 13,
+      text: "Team members proactively communicate when commitments need to be renegotiated.",
+      reverseScored: true,
+      category: "Lack of Follow-Through",
+      type: "Psychological Safety"
+    },
+    {
+      id: 14,
+      text: "Our team's momentum stalls as we wait for overdue deliverables.",
+      reverseScored: false,
+      category: "Lack of Follow-Through",
+      type: "Relational impact"
+    },
+    {
+      id: 15,
+      text: "We complete what we promise to each other.",
+      reverseScored: true,
+      category: "Lack of Follow-Through",
+      type: "Hope Glimpse"
+    },
+
+    // 4. Reluctance to Take on Challenges
+    {
+      id: 16,
+      text: "One or more team members consistently deflect growth opportunities.",
+      reverseScored: false,
+      category: "Reluctance to Take on Challenges",
+      type: "Team behavior"
+    },
+    {
+      id: 17,
+      text: "I support my team by taking on difficult challenges",
+      reverseScored: true,
+      category: "Reluctance to Take on Challenges",
+      type: "Personal experience"
+    },
+    {
+      id: 18,
+      text: "Team members encourage each other to push beyond their comfort zones.",
+      reverseScored: true,
+      category: "Reluctance to Take on Challenges",
+      type: "Psychological Safety"
+    },
+    {
+      id: 19,
+      text: "Our team defaults to safe, familiar approaches even when innovation is called for.",
+      reverseScored: false,
+      category: "Reluctance to Take on Challenges",
+      type: "Relational impact"
+    },
+    {
+      id: 20,
+      text: "We embrace ambitious challenges as a team knowing we will support one another through failure.",
+      reverseScored: true,
+      category: "Reluctance to Take on Challenges",
+      type: "Hope Glimpse"
+    },
+
+    // 5. Excessive Self-Reliance
+    {
+      id: 21,
+      text: "One or more team members work in isolation even when collaboration would benefit everyone.",
+      reverseScored: false,
+      category: "Excessive Self-Reliance",
+      type: "Team behavior"
+    },
+    {
+      id: 22,
+      text: "I find myself solving problems alone rather than asking my team for help.",
+      reverseScored: false,
+      category: "Excessive Self-Reliance",
+      type: "Personal experience"
+    },
+    {
+      id: 23,
+      text: "Team members immediately reach out to one another when they get stuck.",
+      reverseScored: true,
+      category: "Excessive Self-Reliance",
+      type: "Psychological Safety"
+    },
+    {
+      id: 24,
+      text: "Our team misses opportunities to leverage each other's strengths.",
+      reverseScored: false,
+      category: "Excessive Self-Reliance",
+      type: "Relational impact"
+    },
+    {
+      id: 25,
+      text: "We celebrate interdependence as a sign of trust and strength.",
+      reverseScored: true,
+      category: "Excessive Self-Reliance",
+      type: "Hope Glimpse"
+    },
+
+    // 6. Micromanaging
+    {
+      id: 26,
+      text: "One or more team members need to be involved in others' areas of responsibility.",
+      reverseScored: false,
+      category: "Micromanaging",
+      type: "Team behavior"
+    },
+    {
+      id: 27,
+      text: "My own autonomy feels restricted by one or more team members' need for involvement.",
+      reverseScored: false,
+      category: "Micromanaging",
+      type: "Personal experience"
+    },
+    {
+      id: 28,
+      text: "Team members share challenges without fear of someone wanting to take over.",
+      reverseScored: true,
+      category: "Micromanaging",
+      type: "Psychological Safety"
+    },
+    {
+      id: 29,
+      text: "Our team's creativity suffers under excessive processes.",
+      reverseScored: false,
+      category: "Micromanaging",
+      type: "Relational impact"
+    },
+    {
+      id: 30,
+      text: "We grant each other freedom to achieve outcomes in our own ways.",
+      reverseScored: true,
+      category: "Micromanaging",
+      type: "Hope Glimpse"
+    },
+
+    // 7. Emotional Volatility
+    {
+      id: 31,
+      text: "One or more team members' emotional reactions create disruptions.",
+      reverseScored: false,
+      category: "Emotional Volatility",
+      type: "Team behavior"
+    },
+    {
+      id: 32,
+      text: "I brace myself for potentially intense emotional reactions from one or more team members.",
+      reverseScored: false,
+      category: "Emotional Volatility",
+      type: "Personal experience"
+    },
+    {
+      id: 33,
+      text: "Team members express strong emotions in ways that deepen rather than derail our discussions.",
+      reverseScored: true,
+      category: "Emotional Volatility",
+      type: "Psychological Safety"
+    },
+    {
+      id: 34,
+      text: "Our team walks on eggshells to avoid triggering volatile responses.",
+      reverseScored: false,
+      category: "Emotional Volatility",
+      type: "Relational impact"
+    },
+    {
+      id: 35,
+      text: "We navigate charged moments with grace and mutual respect.",
+      reverseScored: true,
+      category: "Emotional Volatility",
+      type: "Hope Glimpse"
+    },
+
+    // 8. Information Hoarding
+    {
+      id: 36,
+      text: "One or more team members hold back information that would benefit the whole team.",
+      reverseScored: false,
+      category: "Information Hoarding",
+      type: "Team behavior"
+    },
+    {
+      id: 37,
+      text: "I freely share knowledge and resources with my teammates before being asked.",
+      reverseScored: true,
+      category: "Information Hoarding",
+      type: "Personal experience"
+    },
+    {
+      id: 38,
+      text: "Team members proactively share information with me.",
+      reverseScored: true,
+      category: "Information Hoarding",
+      type: "Psychological Safety"
+    },
+    {
+      id: 39,
+      text: "We discover crucial information only after decisions have been made.",
+      reverseScored: false,
+      category: "Information Hoarding",
+      type: "Relational impact"
+    },
+    {
+      id: 40,
+      text: "We treat information as a shared resource that multiplies when offered freely.",
+      reverseScored: true,
+      category: "Information Hoarding",
+      type: "Hope Glimpse"
+    },
+
+    // 9. Closed-Mindedness
+    {
+      id: 41,
+      text: "One or more team members reacts negatively to new ideas before fully considering them.",
+      reverseScored: false,
+      category: "Closed-Mindedness",
+      type: "Team behavior"
+    },
+    {
+      id: 42,
+      text: "I catch myself resisting suggestions that challenge my preferences.",
+      reverseScored: false,
+      category: "Closed-Mindedness",
+      type: "Personal experience"
+    },
+    {
+      id: 43,
+      text: "Team members build on each other's ideas with \"yes, and\" energy.",
+      reverseScored: true,
+      category: "Closed-Mindedness",
+      type: "Psychological Safety"
+    },
+    {
+      id: 44,
+      text: "Our team's growth slows or stagnates due to familiar approaches going unchallenged.",
+      reverseScored: false,
+      category: "Closed-Mindedness",
+      type: "Relational impact"
+    },
+    {
+      id: 45,
+      text: "When we are all together, we approach different perspectives with genuine curiosity and openness.",
+      reverseScored: true,
+      category: "Closed-Mindedness",
+      type: "Hope Glimpse"
+    }
+  ];
+
+  // The 9 red flags and their triage category
+  const RED_FLAG_CATEGORIES = {
+    'Inauthenticity': 'CONCEAL',
+    'Undercurrent of Negativity': 'CONTAMINATE',
+    'Lack of Follow-Through': 'COLLAPSE',
+    'Reluctance to Take on Challenges': 'CONCEAL',
+    'Excessive Self-Reliance': 'CONTROL',
+    'Micromanaging': 'CONTROL',
+    'Emotional Volatility': 'CONTAMINATE',
+    'Information Hoarding': 'CONTROL',
+    'Closed-Mindedness': 'CONCEAL'
+  };
+
+  // The 9 Trust Foundations (opposite of Red Flags)
+  const FOUNDATION_DEFINITIONS = {
+    'Authentic Presence': {
+      oppositeOf: 'Inauthenticity',
+      description: 'The courage to show up genuinely and create space for others to do the same',
+      bridgePotential: 'Can create safety for vulnerability and honest feedback'
+    },
+    'Constructive Energy': {
+      oppositeOf: 'Undercurrent of Negativity',
+      description: 'The ability to transform challenges into growth opportunities and maintain hope',
+      bridgePotential: 'Can transform challenges into growth opportunities'
+    },
+    'Reliable Delivery': {
+      oppositeOf: 'Lack of Follow-Through',
+      description: 'Consistent follow-through that builds confidence and momentum',
+      bridgePotential: 'Can build confidence for taking larger risks'
+    },
+    'Courageous Growth': {
+      oppositeOf: 'Reluctance to Take on Challenges',
+      description: 'Embracing stretch opportunities and supporting others through uncertainty',
+      bridgePotential: 'Can inspire others to embrace stretch opportunities'
+    },
+    'Collaborative Power': {
+      oppositeOf: 'Excessive Self-Reliance',
+      description: 'Leveraging collective wisdom and celebrating interdependence',
+      bridgePotential: 'Can reduce isolation and increase collective intelligence'
+    },
+    'Empowered Autonomy': {
+      oppositeOf: 'Micromanaging',
+      description: 'Trusting others with outcomes while providing support for success',
+      bridgePotential: 'Can reduce micromanagement while maintaining support'
+    },
+    'Emotional Wisdom': {
+      oppositeOf: 'Emotional Volatility',
+      description: 'Navigating emotions skillfully to deepen rather than derail relationships',
+      bridgePotential: 'Can create stability for difficult conversations'
+    },
+    'Generous Transparency': {
+      oppositeOf: 'Information Hoarding',
+      description: 'Sharing knowledge and resources freely to multiply collective intelligence',
+      bridgePotential: 'Can build trust through open information sharing'
+    },
+    'Curious Expansion': {
+      oppositeOf: 'Closed-Mindedness',
+      description: 'Approaching different perspectives with genuine openness and learning orientation',
+      bridgePotential: 'Can create openness to new ideas and approaches'
+    }
+  };
+
+  // Trust Triage Protocol hierarchy
+  const TRIAGE_HIERARCHY = {
+    'CONTAMINATE': 4, // Highest priority
+    'CONTROL': 3,
+    'CONCEAL': 2,
+    'COLLAPSE': 1 // Lowest priority
+  };
+
+  // Within-category hierarchy
+  const WITHIN_CATEGORY_HIERARCHY = {
+    'CONTAMINATE': {
+      'Emotional Volatility': 2,
+      'Undercurrent of Negativity': 1
+    },
+    'CONTROL': {
+      'Micromanaging': 3,
+      'Information Hoarding': 2,
+      'Excessive Self-Reliance': 1
+    },
+    'CONCEAL': {
+      'Inauthenticity': 3,
+      'Closed-Mindedness': 2,
+      'Reluctance to Take on Challenges': 1
+    }
+  };
+
+  // Membership is derived from each question's category, so adding or
+  // moving an item only ever touches QUESTIONS
+  function indicesForFlag(flagName) {
+    return QUESTIONS
+      .map((question, index) => (question.category === flagName ? index : null))
+      .filter(index => index !== null);
+  }
+
+  const RED_FLAGS = {};
+  Object.entries(RED_FLAG_CATEGORIES).forEach(([flagName, category]) => {
+    RED_FLAGS[flagName] = {
+      category,
+      questionIndices: indicesForFlag(flagName)
+    };
+  });
+
+  const TRUST_FOUNDATIONS = {};
+  const OPPOSITE_MAP = {};
+  Object.entries(FOUNDATION_DEFINITIONS).forEach(([foundationName, definition]) => {
+    TRUST_FOUNDATIONS[foundationName] = {
+      ...definition,
+      questionIndices: indicesForFlag(definition.oppositeOf)
+    };
+    OPPOSITE_MAP[definition.oppositeOf] = foundationName;
+  });
+
+  return {
+    version: VERSION,
+    questions: QUESTIONS,
+    responseScale: RESPONSE_SCALE,
+    redFlags: RED_FLAGS,
+    trustFoundations: TRUST_FOUNDATIONS,
+    oppositeMap: OPPOSITE_MAP,
+    triageHierarchy: TRIAGE_HIERARCHY,
+    withinCategoryHierarchy: WITHIN_CATEGORY_HIERARCHY
+  };
+});
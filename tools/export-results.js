@@ -0,0 +1,96 @@
+#!/usr/bin/env node
+// Trust Foundation Check - Results Export
+// Writes stored, scored submissions to a CSV or XLSX file, one row per
+// participant, for analysis in a spreadsheet. The columns are described in
+// functions/lib/results-export.js; the admin area offers the same export.
+//
+// Usage:
+//   node tools/export-results.js --out results.xlsx [--format csv|xlsx] [--items]
+//                                [--since 2025-01-01] [--email a@b.co] [--company acme]
+//
+// --format   defaults to the --out file extension, or csv
+// --items    add the item-level answers (Q1..Q45) for research use
+// --company  keep companies whose name contains this text (any case)
+// Without --out the CSV is printed to stdout.
+
+const fs = require('fs');
+const path = require('path');
+
+const { getStorageAdapter, listSubmissions } = require('../functions/lib/submission-store');
+const { buildExportTable, toCsv, toXlsx } = require('../functions/lib/results-export');
+
+const FORMATS = ['csv', 'xlsx'];
+
+function parseArgs(argv) {
+  const args = { out: null, format: null, items: false, since: null, email: null, company: null };
+
+  for (let i = 0; i < argv.length; i++) {
+    switch (argv[i]) {
+      case '--out':
+        args.out = argv[++i];
+        break;
+      case '--format':
+        args.format = argv[++i];
+        if (!FORMATS.includes(args.format)) {
+          throw new Error(`--format must be one of: ${FORMATS.join(', ')}`);
+        }
+        break;
+      case '--items':
+        args.items = true;
+        break;
+      case '--since':
+        args.since = argv[++i];
+        break;
+      case '--email':
+        args.email = argv[++i];
+        break;
+      case '--company':
+        args.company = argv[++i].toLowerCase();
+        break;
+      default:
+        throw new Error(`Unknown option: ${argv[i]}`);
+    }
+  }
+
+  if (!args.format) {
+    const extension = args.out ? path.extname(args.out).slice(1).toLowerCase() : '';
+    args.format = FORMATS.includes(extension) ? extension : 'csv';
+  }
+  if (args.format === 'xlsx' && !args.out) {
+    throw new Error('--out is required for xlsx');
+  }
+
+  return args;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+
+  // The store announces itself on first use; keep stdout for the CSV
+  getStorageAdapter(process.env, { log: console.error });
+
+  const records = (await listSubmissions({
+    status: 'completed',
+    since: args.since || undefined,
+    email: args.email || undefined
+  })).filter(record => !args.company ||
+    (record.result?.data.participant.company || '').toLowerCase().includes(args.company));
+
+  const table = buildExportTable(records, { items: args.items });
+
+  if (!args.out) {
+    process.stdout.write(toCsv(table));
+  } else {
+    fs.writeFileSync(args.out, args.format === 'xlsx' ? toXlsx(table, { items: args.items }) : toCsv(table));
+    console.log(`📊 Exported ${table.rows.length} scored submission(s) to ${args.out}`);
+  }
+
+  return 0;
+}
+
+main()
+  .then(code => process.exit(code))
+  .catch(error => {
+    console.error('❌ Export failed:', error.message);
+    process.exit(1);
+  });
@@ -0,0 +1,89 @@
+#!/usr/bin/env node
+// Trust Foundation Check - Mock VectorShift Endpoint
+// A local stand-in for the VectorShift pipeline for exercising delivery,
+// retries and dead-letter replay without the real service.
+//
+// Usage:
+//   node tools/mock-vectorshift.js [--port 8787] [--fail-first 2] [--status 503]
+//                                  [--delay 0] [--api-key secret]
+//
+// Then run the scoring function with
+//   VECTORSHIFT_ENDPOINT=http://localhost:8787/pipeline
+//
+// --fail-first N  answer the first N requests for each idempotency key with --status
+// --delay MS      wait before answering (use to trigger client timeouts)
+// --api-key KEY   require "Authorization: Bearer KEY"
+
+const http = require('http');
+
+function parseArgs(argv) {
+  const args = { port: 8787, failFirst: 0, status: 503, delay: 0, apiKey: null };
+  const numeric = { '--port': 'port', '--fail-first': 'failFirst', '--status': 'status', '--delay': 'delay' };
+
+  for (let i = 0; i < argv.length; i++) {
+    if (numeric[argv[i]]) {
+      args[numeric[argv[i]]] = parseInt(argv[++i]);
+    } else if (argv[i] === '--api-key') {
+      args.apiKey = argv[++i];
+    } else {
+      throw new Error(`Unknown option: ${argv[i]}`);
+    }
+  }
+
+  return args;
+}
+
+function createMockServer(args) {
+  const attemptsByKey = {};
+  const accepted = new Set();
+
+  return http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => {
+      body += chunk;
+    });
+
+    req.on('end', () => {
+      const key = req.headers['idempotency-key'] || '(none)';
+      attemptsByKey[key] = (attemptsByKey[key] || 0) + 1;
+
+      const respond = (status, payload) => {
+        setTimeout(() => {
+          res.writeHead(status, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify(payload));
+          console.log(`${new Date().toISOString()} ${req.method} ${req.url} key=${key} attempt=${attemptsByKey[key]} -> ${status}`);
+        }, args.delay);
+      };
+
+      if (req.method !== 'POST') {
+        return respond(405, { error: 'POST only' });
+      }
+      if (args.apiKey && req.headers.authorization !== `Bearer ${args.apiKey}`) {
+        return respond(401, { error: 'Bad API key' });
+      }
+      if (attemptsByKey[key] <= args.failFirst) {
+        return respond(args.status, { error: 'Simulated failure' });
+      }
+
+      try {
+        JSON.parse(body);
+      } catch (error) {
+        return respond(400, { error: 'Body is not JSON' });
+      }
+
+      // Repeated keys are acknowledged without being processed twice
+      const duplicate = accepted.has(key);
+      accepted.add(key);
+      respond(200, { status: 'accepted', duplicate });
+    });
+  });
+}
+
+if (require.main === module) {
+  const args = parseArgs(process.argv.slice(2));
+  createMockServer(args).listen(args.port, () => {
+    console.log(`🧪 Mock VectorShift listening on http://localhost:${args.port}/pipeline`);
+  });
+}
+
+module.exports = { createMockServer };
@@ -0,0 +1,78 @@
+#!/usr/bin/env node
+// Trust Foundation Check - Dead-Letter Replay
+// Re-sends payloads that VectorShift delivery gave up on, using the same
+// environment as the scoring function (VECTORSHIFT_ENDPOINT, DATA_DIR, ...).
+//
+// Usage:
+//   node tools/replay-dead-letters.js            replay everything
+//   node tools/replay-dead-letters.js --list     show what is waiting
+//   node tools/replay-dead-letters.js --dry-run  show what would be replayed
+//   node tools/replay-dead-letters.js --limit 5  replay the oldest five
+
+const { getDeliveryConfig, listDeadLetters, replayDeadLetters } = require('../functions/lib/vectorshift-client');
+
+function parseArgs(argv) {
+  const args = { list: false, dryRun: false, limit: null };
+
+  for (let i = 0; i < argv.length; i++) {
+    switch (argv[i]) {
+      case '--list':
+        args.list = true;
+        break;
+      case '--dry-run':
+        args.dryRun = true;
+        break;
+      case '--limit':
+        args.limit = parseInt(argv[++i]);
+        if (!(args.limit > 0)) {
+          throw new Error('--limit needs a positive number');
+        }
+        break;
+      default:
+        throw new Error(`Unknown option: ${argv[i]}`);
+    }
+  }
+
+  return args;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const config = getDeliveryConfig();
+
+  if (args.list) {
+    const entries = listDeadLetters(config.deadLetterDir);
+    console.log(`📭 ${entries.length} dead letter(s) in ${config.deadLetterDir}`);
+    entries.forEach(entry => {
+      console.log(`  ${entry.idempotencyKey}  ${entry.payload.participant?.email || '(no email)'}  failed ${entry.failedAt}  attempts ${entry.attempts}  ${entry.lastError}`);
+    });
+    return 0;
+  }
+
+  if (!config.endpoint && !args.dryRun) {
+    console.error('❌ VECTORSHIFT_ENDPOINT is not set');
+    return 1;
+  }
+
+  const results = await replayDeadLetters({ dryRun: args.dryRun, limit: args.limit });
+  const delivered = results.filter(result => result.delivered).length;
+
+  results.forEach(result => {
+    const status = result.dryRun ? 'would replay' : (result.delivered ? 'delivered' : `failed: ${result.error}`);
+    console.log(`  ${result.idempotencyKey}  ${status}`);
+  });
+  if (args.dryRun) {
+    console.log(`🔎 Would replay ${results.length} dead letter(s)`);
+  } else {
+    console.log(`🚀 Replayed ${results.length} dead letter(s): ${delivered} delivered, ${results.length - delivered} remaining`);
+  }
+
+  return results.length === delivered || args.dryRun ? 0 : 1;
+}
+
+main()
+  .then(code => process.exit(code))
+  .catch(error => {
+    console.error('❌ Replay failed:', error.message);
+    process.exit(1);
+  });
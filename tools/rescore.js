@@ -0,0 +1,255 @@
+#!/usr/bin/env node
+// Trust Foundation Check - Re-scoring Report
+// Runs stored submissions back through the current scoring code and reports
+// whose top-3 challenges, landscape type or intensity profile would change.
+// Nothing is written back; the stored reports stay as they were delivered.
+//
+// Uses the same environment as the scoring function, so a candidate profile
+// can be tried before it ships:
+//   SCORING_PROFILE_PATH=./candidate.json node tools/rescore.js
+//
+// Usage:
+//   node tools/rescore.js [--status completed] [--since 2025-01-01] [--email a@b.co]
+//                         [--limit 100] [--all] [--json] [--out report.json] [--verbose]
+//
+// --all      list unchanged submissions too
+// --json     print the full report as JSON instead of text
+// --out      also write the JSON report to a file
+// --verbose  show the scorer's own progress logging (on stderr, so --json
+//            output stays clean)
+
+const fs = require('fs');
+
+const { getStorageAdapter, listSubmissions } = require('../functions/lib/submission-store');
+const { scoreSubmission } = require('../functions/score-assessment');
+
+function parseArgs(argv) {
+  const args = { status: 'completed', since: null, email: null, limit: null, all: false, json: false, out: null, verbose: false };
+
+  for (let i = 0; i < argv.length; i++) {
+    switch (argv[i]) {
+      case '--status':
+        args.status = argv[++i];
+        break;
+      case '--since':
+        args.since = argv[++i];
+        break;
+      case '--email':
+        args.email = argv[++i];
+        break;
+      case '--limit':
+        args.limit = parseInt(argv[++i]);
+        if (!(args.limit > 0)) {
+          throw new Error('--limit needs a positive number');
+        }
+        break;
+      case '--all':
+        args.all = true;
+        break;
+      case '--json':
+        args.json = true;
+        break;
+      case '--out':
+        args.out = argv[++i];
+        break;
+      case '--verbose':
+        args.verbose = true;
+        break;
+      default:
+        throw new Error(`Unknown option: ${argv[i]}`);
+    }
+  }
+
+  return args;
+}
+
+// =============================================================================
+// COMPARISON
+// =============================================================================
+
+// The parts of a report a participant would notice changing
+function summarizeReport(payload) {
+  return {
+    top3: payload.trustChallenges.top3.map(challenge => challenge.name),
+    landscapeType: payload.patternAnalysis.trustLandscape.landscapeType,
+    intensityProfile: payload.reportMetadata.intensityProfile,
+    combinationKey: payload.patternAnalysis.combinationKey
+  };
+}
+
+function compareReports(before, after) {
+  const previous = summarizeReport(before);
+  const current = summarizeReport(after);
+  const changes = {};
+
+  Object.keys(current).forEach(field => {
+    if (JSON.stringify(previous[field]) !== JSON.stringify(current[field])) {
+      changes[field] = { before: previous[field], after: current[field] };
+    }
+  });
+
+  return { changes, largestScoreShift: largestScoreShift(before, after) };
+}
+
+// Biggest movement in any flag or foundation index, for context on near-misses
+function largestScoreShift(before, after) {
+  let largest = { scale: null, before: null, after: null, delta: 0 };
+
+  [['trustChallenges', before.trustChallenges.allScores, after.trustChallenges.allScores],
+    ['trustStrengths', before.trustStrengths.allScores, after.trustStrengths.allScores]]
+    .forEach(([, previousScores, currentScores]) => {
+      Object.entries(currentScores).forEach(([scale, score]) => {
+        const previousScore = previousScores[scale];
+        if (score === null || previousScore === null || previousScore === undefined) return;
+        const delta = score - previousScore;
+        if (Math.abs(delta) > Math.abs(largest.delta)) {
+          largest = { scale, before: previousScore, after: score, delta };
+        }
+      });
+    });
+
+  return largest.scale ? largest : null;
+}
+
+// =============================================================================
+// RE-SCORING
+// =============================================================================
+
+// logger ({ log }) takes the scorer's per-submission progress logging
+async function rescore(args, logger) {
+  const records = await listSubmissions({
+    status: args.status === 'any' ? undefined : args.status,
+    since: args.since || undefined,
+    email: args.email || undefined,
+    limit: args.limit || undefined
+  });
+
+  const report = {
+    generatedAt: new Date().toISOString(),
+    scoringProfile: null,
+    totals: { rescored: 0, changed: 0, unchanged: 0, notPreviouslyScored: 0, failed: 0 },
+    submissions: []
+  };
+
+  for (const record of records) {
+    const entry = {
+      submissionId: record.id,
+      email: record.email,
+      name: record.result?.data.participant.name || record.submission.participant?.name || record.submission.name || null,
+      receivedAt: record.receivedAt,
+      previousProfile: describeProfile(record.result?.data.reportMetadata.scoringProfile)
+    };
+
+    let rescored;
+    try {
+      rescored = scoreSubmission(record.submission, { logger }).vectorShiftPayload;
+    } catch (error) {
+      report.totals.failed++;
+      report.submissions.push({ ...entry, outcome: 'failed', error: error.message, problems: error.validationErrors });
+      continue;
+    }
+
+    report.totals.rescored++;
+    report.scoringProfile = describeProfile(rescored.reportMetadata.scoringProfile);
+
+    if (!record.result) {
+      report.totals.notPreviouslyScored++;
+      report.submissions.push({ ...entry, outcome: 'not-previously-scored', current: summarizeReport(rescored) });
+      continue;
+    }
+
+    const comparison = compareReports(record.result.data, rescored);
+    const changed = Object.keys(comparison.changes).length > 0;
+    report.totals[changed ? 'changed' : 'unchanged']++;
+    report.submissions.push({ ...entry, outcome: changed ? 'changed' : 'unchanged', ...comparison });
+  }
+
+  return report;
+}
+
+function describeProfile(profile) {
+  return profile ? `${profile.name} (${profile.version || 'unversioned'})` : null;
+}
+
+// =============================================================================
+// OUTPUT
+// =============================================================================
+
+function printReport(report, showAll, print) {
+  const { totals } = report;
+  print(`🔁 Re-scored ${totals.rescored} submission(s)${report.scoringProfile ? ` with profile ${report.scoringProfile}` : ''}`);
+  print(`   ${totals.changed} changed, ${totals.unchanged} unchanged, ${totals.notPreviouslyScored} not previously scored, ${totals.failed} failed`);
+
+  report.submissions
+    .filter(entry => showAll || entry.outcome !== 'unchanged')
+    .forEach(entry => {
+      print('');
+      print(`${entry.email || '(no email)'} - ${entry.name || 'unnamed'} - ${entry.receivedAt} - ${entry.submissionId}`);
+
+      switch (entry.outcome) {
+        case 'failed':
+          print(`  ❌ could not be re-scored: ${entry.error}`);
+          (entry.problems || []).slice(0, 5).forEach(problem => print(`     ${problem.field}: ${problem.message}`));
+          break;
+        case 'not-previously-scored':
+          print(`  ➕ no stored report; now top 3: ${entry.current.top3.join(', ')}`);
+          break;
+        default:
+          if (entry.previousProfile && entry.previousProfile !== report.scoringProfile) {
+            print(`  profile:    ${entry.previousProfile} -> ${report.scoringProfile}`);
+          }
+          if (entry.outcome === 'unchanged') {
+            print('  unchanged');
+          }
+          Object.entries(entry.changes).forEach(([field, change]) => {
+            print(`  ${(FIELD_LABELS[field] + ':').padEnd(12)}${formatValue(change.before)} -> ${formatValue(change.after)}`);
+          });
+          if (entry.largestScoreShift) {
+            const shift = entry.largestScoreShift;
+            print(`  largest shift: ${shift.scale} ${shift.before} -> ${shift.after}`);
+          }
+      }
+    });
+}
+
+const FIELD_LABELS = {
+  top3: 'top 3',
+  landscapeType: 'landscape',
+  intensityProfile: 'intensity',
+  combinationKey: 'combination'
+};
+
+function formatValue(value) {
+  return Array.isArray(value) ? value.join(', ') : String(value);
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+
+  // The store and scorer log progress for every submission; keep stdout for the report
+  const print = console.log;
+  const logger = { log: args.verbose ? console.error : () => {} };
+  getStorageAdapter(process.env, logger);
+
+  const report = await rescore(args, logger);
+
+  if (args.json) {
+    print(JSON.stringify(report, null, 2));
+  } else {
+    printReport(report, args.all, print);
+  }
+
+  if (args.out) {
+    fs.writeFileSync(args.out, JSON.stringify(report, null, 2));
+    console.error(`📝 Report written to ${args.out}`);
+  }
+
+  return 0;
+}
+
+main()
+  .then(code => process.exit(code))
+  .catch(error => {
+    console.error('❌ Re-scoring failed:', error.message);
+    process.exit(1);
+  });
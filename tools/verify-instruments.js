@@ -0,0 +1,181 @@
+#!/usr/bin/env node
+// Trust Foundation Check - Instrument Check
+// Scores a synthetic submission on every registered instrument version and
+// checks the result: the payload names the version it was scored on, every
+// flag and foundation gets a score from that version's own items, and an item
+// id outside the version is rejected. It then walks every scale from its
+// lowest to its highest possible answers to check that each one spans exactly
+// 0-100 and can reach every band in the scoring profile. Run it after adding
+// or changing a definition; it exits 1 if any check fails.
+//
+// Usage:
+//   node tools/verify-instruments.js
+
+const { listSupportedVersions, getInstrument } = require('../functions/lib/instruments');
+const { loadScoringProfile, bandForScore } = require('../functions/lib/scoring-profile');
+const { scoreSubmission } = require('../functions/score-assessment');
+
+const QUIET = { log: () => {} };
+
+// The same answer for the same underlying item on every version, so scores
+// can be compared across forms that share items
+function answerFor(question) {
+  return ((question.v5ItemId ?? question.id) * 7) % 5 + 1;
+}
+
+// The answer that gives an item the scored value (1-5) on its red flag; the
+// same item then scores 6 - value on the opposite foundation
+function answerForScoredValue(question, value) {
+  return question.reverseScored ? 6 - value : value;
+}
+
+function buildSubmission(instrument, responses) {
+  return {
+    schemaVersion: '1.0',
+    instrumentVersion: instrument.version,
+    participant: { name: 'Instrument Check', email: 'instrument-check@example.com', company: 'Trust Foundation Check' },
+    responses
+  };
+}
+
+// Returns [{ check, ok, detail }] for one version
+function verifyInstrument(instrument) {
+  const results = [];
+  const record = (check, ok, detail = '') => results.push({ check, ok, detail });
+
+  const responses = instrument.questions.map(question => ({ questionId: question.id, value: answerFor(question) }));
+
+  let payload;
+  try {
+    payload = scoreSubmission(buildSubmission(instrument, responses), { logger: QUIET }).vectorShiftPayload;
+  } catch (error) {
+    record('scores a complete submission', false, error.message);
+    return { results, payload: null };
+  }
+  record('scores a complete submission', true, `${instrument.questions.length} items`);
+
+  record('payload names the version',
+    payload.participant.assessmentVersion === instrument.version,
+    `assessmentVersion ${payload.participant.assessmentVersion}`);
+
+  const unscored = [
+    ...Object.keys(instrument.redFlags).filter(flag => typeof payload.trustChallenges.allScores[flag] !== 'number'),
+    ...Object.keys(instrument.trustFoundations).filter(foundation => typeof payload.trustStrengths.allScores[foundation] !== 'number')
+  ];
+  record('scores every flag and foundation', unscored.length === 0, unscored.length > 0 ? `unscored: ${unscored.join(', ')}` : '');
+
+  record('answers are read on this version\'s items',
+    payload.rawAssessmentData.responses.length === instrument.questions.length,
+    `${payload.rawAssessmentData.responses.length} responses stored`);
+
+  const extraItem = instrument.questions.length + 1;
+  try {
+    scoreSubmission(buildSubmission(instrument, [...responses, { questionId: extraItem, value: 3 }]), { logger: QUIET });
+    record(`rejects item ${extraItem}`, false, 'accepted');
+  } catch (error) {
+    const codes = (error.validationErrors || []).map(problem => problem.code);
+    record(`rejects item ${extraItem}`, codes.includes('unknown_question'), codes.join(', ') || error.message);
+  }
+
+  results.push(...verifyScaleRange(instrument));
+
+  return { results, payload };
+}
+
+// Scores a ladder of submissions that raises every red flag one scored point
+// at a time, from all items at 1 to all items at 5 (foundations fall in step).
+// Each scale must start and end at exactly 0 and 100, and every severity and
+// strength band must be hit on the way.
+function verifyScaleRange(instrument) {
+  const results = [];
+  const record = (check, ok, detail = '') => results.push({ check, ok, detail });
+  const profile = loadScoringProfile();
+
+  const flagOfItem = {};
+  Object.entries(instrument.redFlags).forEach(([flag, flagInfo]) => {
+    flagInfo.questionIndices.forEach((index, position) => {
+      flagOfItem[index] = { flag, position, itemCount: flagInfo.questionIndices.length };
+    });
+  });
+  const steps = 4 * Math.max(...Object.values(flagOfItem).map(item => item.itemCount));
+
+  const flagScores = Object.fromEntries(Object.keys(instrument.redFlags).map(flag => [flag, []]));
+  const foundationScores = Object.fromEntries(Object.keys(instrument.trustFoundations).map(foundation => [foundation, []]));
+
+  for (let step = 0; step <= steps; step++) {
+    const responses = instrument.questions.map((question, index) => {
+      const { position, itemCount } = flagOfItem[index];
+      // Spread this step's points over the flag's items, lowest position first
+      const points = Math.min(step, 4 * itemCount);
+      const value = 1 + Math.floor(points / itemCount) + (position < points % itemCount ? 1 : 0);
+      return { questionId: question.id, value: answerForScoredValue(question, value) };
+    });
+
+    let payload;
+    try {
+      payload = scoreSubmission(buildSubmission(instrument, responses), { logger: QUIET }).vectorShiftPayload;
+    } catch (error) {
+      record(`scores range step ${step}`, false, error.message);
+      return results;
+    }
+    Object.keys(flagScores).forEach(flag => flagScores[flag].push(payload.trustChallenges.allScores[flag]));
+    Object.keys(foundationScores).forEach(foundation => foundationScores[foundation].push(payload.trustStrengths.allScores[foundation]));
+  }
+
+  const offRange = [
+    ...Object.entries(flagScores).filter(([, scores]) => scores[0] !== 0 || scores[steps] !== 100)
+      .map(([flag, scores]) => `${flag} ${scores[0]}-${scores[steps]}`),
+    ...Object.entries(foundationScores).filter(([, scores]) => scores[0] !== 100 || scores[steps] !== 0)
+      .map(([foundation, scores]) => `${foundation} ${scores[steps]}-${scores[0]}`)
+  ];
+  record('every scale spans exactly 0-100', offRange.length === 0, offRange.join(', '));
+
+  const missedBands = [
+    ...missedBandsFor(flagScores, profile.severityBands),
+    ...missedBandsFor(foundationScores, profile.strengthBands)
+  ];
+  record(`every band in the "${profile.name}" profile is reachable`, missedBands.length === 0, missedBands.join(', '));
+
+  return results;
+}
+
+// ['<scale>: <band>'] for each band a scale never reached
+function missedBandsFor(scoresByScale, bands) {
+  return Object.entries(scoresByScale).flatMap(([scale, scores]) => {
+    const reached = new Set(scores.map(score => bandForScore(score, bands)));
+    return Object.keys(bands).filter(band => !reached.has(band)).map(band => `${scale}: ${band}`);
+  });
+}
+
+function main() {
+  const versions = listSupportedVersions().filter(version => getInstrument(version));
+  const scored = {};
+  let failures = 0;
+
+  versions.forEach(version => {
+    console.log(`📋 ${version}`);
+    const { results, payload } = verifyInstrument(getInstrument(version));
+    results.forEach(({ check, ok, detail }) => {
+      if (!ok) failures++;
+      console.log(`  ${ok ? '✅' : '❌'} ${check}${detail ? ` (${detail})` : ''}`);
+    });
+    if (payload) scored[version] = payload;
+  });
+
+  // For information: how far the forms drift on the same answers
+  const scoredVersions = Object.keys(scored);
+  if (scoredVersions.length > 1) {
+    const [base, ...others] = scoredVersions;
+    others.forEach(version => {
+      const shifts = Object.entries(scored[version].trustChallenges.allScores)
+        .map(([flag, score]) => ({ flag, delta: score - scored[base].trustChallenges.allScores[flag] }))
+        .sort((a, b) => Math.abs(b.delta) - Math.abs(a.delta));
+      console.log(`ℹ️ ${version} vs ${base} on the same answers: largest flag shift ${shifts[0].flag} ${shifts[0].delta > 0 ? '+' : ''}${shifts[0].delta}`);
+    });
+  }
+
+  console.log(failures === 0 ? `✅ ${versions.length} instrument version(s) verified` : `❌ ${failures} check(s) failed`);
+  return failures === 0 ? 0 : 1;
+}
+
+process.exit(main());